@@ -1,5 +1,10 @@
 // A collection of functions to create and send API queries
 const utils = {
+	// The Spotify app this page authenticates as. Needed both to start the PKCE flow and every time we trade a code or a
+	// refresh token for a new access token.
+	clientId: "d07d8c2ddb3646d4b4fb3781ffc6d2bc",
+	refreshing: null, // the in-flight token refresh Promise, if any
+
 	// Send a request to the Spotify server to let it know we want a session. This is literally accomplished by navigating
 	// to a web address, which accomplishes a GET, with correct query params in tow. There the user may have to enter their
 	// Spotify credentials, after which they are redirected. Which client app wants access, which information exactly it wants
@@ -19,26 +24,140 @@ const utils = {
 		localStorage.setItem('code_verifier', code_verifier) // save the random string secret
 		// Get full redirect URI including path (for GitHub Pages subdirectory support)
 		let redirectUri = location.origin + location.pathname.replace(/\/$/, ''); // Remove trailing slash
-		location = "https://accounts.spotify.com/authorize?client_id=d07d8c2ddb3646d4b4fb3781ffc6d2bc" +
+		location = "https://accounts.spotify.com/authorize?client_id=" + utils.clientId +
 			"&redirect_uri=" + encodeURIComponent(redirectUri) +
-			"&scope=playlist-read-private%20playlist-read-collaborative%20user-library-read" + // access to particular scopes of info defined here
+			"&scope=playlist-read-private%20playlist-read-collaborative%20user-library-read%20user-follow-read%20user-read-playback-position%20user-top-read%20user-read-recently-played%20playlist-modify-private%20playlist-modify-public" + // access to particular scopes of info defined here
 			"&response_type=code&code_challenge_method=S256&code_challenge=" + code_challenge
 	},
 
+	// Save the tokens from a successful /api/token response. Spotify may or may not rotate the refresh token when we use it,
+	// so only overwrite the stored one if a new one came back.
+	// https://developer.spotify.com/documentation/web-api/tutorials/refreshing-tokens
+	storeTokens(tokens) {
+		localStorage.setItem('access_token', tokens.access_token)
+		localStorage.setItem('access_token_timestamp', Date.now())
+		localStorage.setItem('access_token_expires_in', (tokens.expires_in || 3600) * 1000)
+		if (tokens.refresh_token) { localStorage.setItem('refresh_token', tokens.refresh_token) }
+	},
+
+	// Whether the access token is expired, or close enough to expiry (a minute) that a request sent now might not make it
+	tokenExpired() {
+		let lifetime = Number(localStorage.getItem('access_token_expires_in')) || 3600000
+		return Date.now() - localStorage.getItem('access_token_timestamp') > lifetime - 60000
+	},
+
+	// Trade the refresh token for a fresh access token, so long exports don't die at the one-hour mark. Many requests can
+	// discover expiry at the same moment, so they all share one in-flight refresh rather than each burning the token.
+	// Resolves to whether the refresh worked.
+	refreshToken() {
+		if (utils.refreshing) { return utils.refreshing }
+		utils.refreshing = (async () => {
+			let refresh_token = localStorage.getItem('refresh_token')
+			if (!refresh_token) { return false }
+			try {
+				let response = await fetch("https://accounts.spotify.com/api/token", { method: 'POST', headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+					body: new URLSearchParams({client_id: utils.clientId, grant_type: 'refresh_token', refresh_token: refresh_token}) })
+				if (!response.ok) {
+					console.error('Refreshing the access token failed with status', response.status)
+					return false
+				}
+				utils.storeTokens(await response.json())
+				return true
+			} catch (e) {
+				console.error('Refreshing the access token failed:', e)
+				return false
+			}
+		})().finally(() => { utils.refreshing = null })
+		return utils.refreshing
+	},
+
+	// Return to the home page, maintaining subdirectory path, so the user can log in again
+	goHome() {
+		location = location.origin + location.pathname.split('#')[0].split('?')[0]
+	},
+
+	// Every request goes through this little scheduler instead of being fired the moment a caller asks for it. Callers can
+	// queue up as many requests as they like (an export of a 10k-song library queues hundreds), but only maxInFlight are
+	// ever on the wire at once. When Spotify throttles us, the whole queue waits out Retry-After, because every other
+	// request would just be throttled too. https://developer.spotify.com/documentation/web-api/concepts/rate-limits
+	scheduler: { queue: [], inFlight: 0, maxInFlight: 4, pausedUntil: 0, timer: null },
+
+	// Resolves once this request may go out. If the request is aborted while still waiting, it gives up its place in line.
+	acquireSlot(signal) {
+		return new Promise((resolve, reject) => {
+			let onAbort = () => { utils.scheduler.queue.splice(utils.scheduler.queue.indexOf(go), 1); reject(signal.reason) }
+			let go = () => { signal?.removeEventListener('abort', onAbort); resolve() }
+			signal?.addEventListener('abort', onAbort, { once: true })
+			utils.scheduler.queue.push(go)
+			utils.runQueue()
+		})
+	},
+
+	releaseSlot() {
+		utils.scheduler.inFlight--
+		utils.runQueue()
+	},
+
+	// Hand free slots to waiting requests in the order they asked, unless we're paused for rate limiting, in which case
+	// set a timer to try again when the pause is over.
+	runQueue() {
+		let s = utils.scheduler
+		let wait = s.pausedUntil - Date.now()
+		if (wait > 0) {
+			if (!s.timer) { s.timer = setTimeout(() => { s.timer = null; utils.runQueue() }, wait) }
+			return
+		}
+		while (s.inFlight < s.maxInFlight && s.queue.length) {
+			s.inFlight++
+			s.queue.shift()()
+		}
+	},
+
+	// Stop handing out slots for the given number of seconds
+	pause(seconds) {
+		utils.scheduler.pausedUntil = Math.max(utils.scheduler.pausedUntil, Date.now() + seconds*1000)
+	},
+
+	// JavaScript equivalent of sleep(ms), cut short with an AbortError if the signal fires
+	sleep(ms, signal) {
+		return new Promise((resolve, reject) => {
+			let timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve() }, ms)
+			let onAbort = () => { clearTimeout(timer); reject(signal.reason) }
+			signal?.addEventListener('abort', onAbort, { once: true })
+		})
+	},
+
+	// Exponential backoff with "full jitter", so a burst of requests that failed together doesn't retry in lockstep.
+	// https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+	backoff(attempt) {
+		return Math.random() * Math.min(30000, 1000 * 2**attempt)
+	},
+
 	// Make an asynchronous call to the server. Promises are *weird*. Careful here! You have to call .json() on the
 	// Promise returned by the fetch to get a second Promise that has the actual data in it!
 	// https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API/Using_Fetch
 	// https://eloquentjavascript.net/11_async.html
-	async apiCall(url, delay=0, bad_gateway_retries=2) {
-		await new Promise(r => setTimeout(r, delay)) // JavaScript equivalent of sleep(delay), to stay under rate limits ;)
-		const accessToken = localStorage.getItem('access_token');
-		if (!accessToken) {
-			console.error('No access token found. Please re-authenticate.');
-			location = location.origin + location.pathname.split('#')[0].split('?')[0];
-			return;
-		}
-		let response = await fetch(url, { headers: { 'Authorization': 'Bearer ' + accessToken} })
+	// Pass an AbortSignal to be able to cancel the request, whether it's still queued, on the wire, or waiting to retry.
+	// request is for calls that change things rather than read them: {method, body}, where body gets sent as JSON.
+	async apiCall(url, signal=null, server_error_retries=4, unauthorized_retries=1, request={}) {
+		signal?.throwIfAborted()
+		url = utils.apiUrl(url)
+		await utils.acquireSlot(signal) // wait our turn, to stay under rate limits ;)
+		let accessToken, response
+		try {
+			if (localStorage.getItem('access_token') && utils.tokenExpired()) { await utils.refreshToken() } // if this fails, the 401 below sends us home
+			accessToken = localStorage.getItem('access_token');
+			if (!accessToken) {
+				console.error('No access token found. Please re-authenticate.');
+				utils.goHome();
+				return;
+			}
+			response = await fetch(url, { method: request.method || 'GET', signal: signal,
+				headers: { 'Authorization': 'Bearer ' + accessToken, ...(request.body && { 'Content-Type': 'application/json' }) },
+				body: request.body && JSON.stringify(request.body) })
+		} finally { utils.releaseSlot() } // retries below queue up again rather than hogging a slot while they wait
 		if (response.ok) { 
+			if (response.status == 204) { return null } // some writes answer with nothing at all
 			const data = await response.json();
 			// Log audio-features API calls for debugging
 			if (url.includes('audio-features')) {
@@ -51,10 +170,13 @@ const utils = {
 			}
 			return data;
 		}
-		else if (response.status == 401) { 
+		else if (response.status == 401) {
+			// The token may have been revoked or expired early. Try refreshing once and replaying the request before giving up.
+			if (unauthorized_retries > 0 && await utils.refreshToken()) {
+				return utils.apiCall(url, signal, server_error_retries, unauthorized_retries-1, request)
+			}
 			console.error('401 Unauthorized - Token expired or invalid. Please re-authenticate.');
-			// Return to home page after auth token expiry, maintaining subdirectory path
-			location = location.origin + location.pathname.split('#')[0].split('?')[0]
+			utils.goHome() // Return to home page after auth token expiry
 		}
 		else if (response.status == 403) {
 			const errorText = await response.text();
@@ -70,6 +192,7 @@ const utils = {
 				// Clear the invalid token and force re-authentication
 				localStorage.removeItem('access_token');
 				localStorage.removeItem('access_token_timestamp');
+				localStorage.removeItem('refresh_token');
 				
 				// Show user-friendly error
 				if (typeof error !== 'undefined' && error) {
@@ -88,31 +211,319 @@ const utils = {
 			}
 			throw new Error('403 Forbidden: ' + errorText);
 		}
-		else if (response.status == 429) {
-			//if (!error.innerHTML.includes("fa-bolt")) { error.innerHTML += '<p><i class="fa fa-bolt" style="font-size: 50px; margin-bottom: 20px">\
-			//	</i></p><p>Exportify has encountered <a target="_blank" href="https://developer.spotify.com/documentation/web-api/concepts/rate-limits">\
-			//	rate limiting</a> while querying endpoint ' + url.split('?')[0] + '!<br/>Don\'t worry: Automatic backoff is implemented, and your data is \
-			//	still downloading. But <a href="https://github.com/pavelkomarov/exportify/issues">I would be interested to hear about this.</a></p><br/>' }
-			return utils.apiCall(url, response.headers.get('Retry-After')*1000) } // API Rate-limiting encountered, so tail-call replacement request on a delay
-		else if (response.status == 502 && bad_gateway_retries > 0) {
+		else if (response.status == 429) { // API Rate-limiting encountered, so hold everything back, then requeue this request
+			utils.pause(Number(response.headers.get('Retry-After')) || 1)
+			return utils.apiCall(url, signal, server_error_retries, unauthorized_retries, request) }
+		else if (response.status >= 500 && server_error_retries > 0) {
 			if (!error.innerHTML.includes("fa-bolt")) { error.innerHTML += '<p><i class="fa fa-bolt" style="font-size: 50px; margin-bottom: 20px">\
-				</i></p><p>Exportify has encountered a <a target="_blank" href="https://developer.mozilla.org/en-US/docs/Web/HTTP/Reference/Status/502">\
-				bad gateway</a> while querying endpoint ' + url.split('?')[0] + '!<br/>Retries are implemented, so your download may still succeed. \
+				</i></p><p>Exportify has encountered a <a target="_blank" href="https://developer.mozilla.org/en-US/docs/Web/HTTP/Reference/Status/' + response.status + '">\
+				server error (' + response.status + ')</a> while querying endpoint ' + url.split('?')[0] + '!<br/>Retries are implemented, so your download may still succeed. \
 				But <a href="https://github.com/pavelkomarov/exportify/issues">I would be interested to hear about this.</a></p><br/>' }
-            return utils.apiCall(url, (3-bad_gateway_retries)*1000, bad_gateway_retries-1) }
+			await utils.sleep(utils.backoff(4 - server_error_retries), signal)
+			return utils.apiCall(url, signal, server_error_retries-1, unauthorized_retries, request) }
 		else { error.innerHTML = "The server returned an unhandled kind of HTTP response: " + response.status } // the caller will fail
 	},
 
+	// apiCall for writes, e.g. apiSend('POST', url, {uris: [...]})
+	apiSend(method, url, body, signal=null) {
+		return utils.apiCall(url, signal, 4, 1, { method: method, body: body })
+	},
+
+	// Where Web API requests actually go. Setting api_base in localStorage (e.g. to http://localhost:8000/v1) points them
+	// all at a local stand-in instead of Spotify, so things that change a library can be tried out safely.
+	apiUrl(url) {
+		let base = localStorage.getItem('api_base')
+		return base ? url.replace('https://api.spotify.com/v1', base.replace(/\/$/, '')) : url
+	},
+
 	// Logging out of Spotify is much like logging in: You have to navigate to a certain url. But unlike logging in, there is
 	// no way to redirect back to my home page. So open the logout page in a new tab, then redirect to the homepage after a
 	// second, which is almost always long enough for the logout request to go through. Scratch that: just wipe data and reload page.
-	logout() {
+	async logout() {
+		// An interrupted Export All is this user's, so it mustn't be offered to whoever logs in next
+		await checkpoint.clear().catch(e => console.warn('Clearing Export All checkpoint failed:', e))
 		localStorage.clear() // otherwise when the page is reloaded it still just finds and uses the access_token
 		// Logout: redirect to home page, maintaining subdirectory path
 		location = location.origin + location.pathname.split('#')[0].split('?')[0] //let logout = open("https://www.spotify.com/logout"); setTimeout(() => {logout.close(); location = location.origin + location.pathname}, 1000)
 	}
 }
 
+// Reading and writing csv as RFC 4180 has it (https://www.rfc-editor.org/rfc/rfc4180): records end in CRLF or LF, fields
+// are split by a delimiter (a comma unless said otherwise), and fields holding the delimiter, a quote or a line break are
+// quoted, with quotes inside doubled. Exports, uploads and the analysis pages all go through this. Pages that write csv
+// in their own tab embed these methods by their source, so each has to stand alone.
+const CSV = {
+	// Split csv text into records, each a list of fields. A leading byte order mark is dropped, as are blank lines, though
+	// not a line holding just "", which is a record of one empty field. onProgress, if given, is told what fraction of the
+	// text is done every 10000 records.
+	parse(text, delimiter=',', onProgress=null) {
+		let records = [], record = [], field = '', quoted = false, blank = true // whether this line has had nothing in it yet
+		for (let i = text.charCodeAt(0) == 0xFEFF ? 1 : 0; i < text.length; i++) {
+			let c = text[i]
+			if (quoted) {
+				if (c != '"') { field += c }
+				else if (text[i+1] == '"') { field += '"'; i++ } // an escaped quote
+				else { quoted = false }
+			} else if (c == '"') { quoted = true; blank = false }
+			else if (c == delimiter) { record.push(field); field = '' }
+			else if (c == '\n' || c == '\r') {
+				if (c == '\r' && text[i+1] == '\n') { i++ }
+				if (!blank || record.length || field) { record.push(field); records.push(record) }
+				if (onProgress && records.length % 10000 == 0) { onProgress(i / text.length) }
+				record = []; field = ''; blank = true
+			} else { field += c }
+		}
+		if (!blank || record.length || field) { record.push(field); records.push(record) } // no line break after the last record
+		return records
+	},
+
+	// Guess a file's delimiter from its header line: whichever of comma, semicolon (what Excel uses where commas are
+	// decimal points) and tab it holds most of
+	delimiter(text) {
+		let header = text.split(/\r?\n/, 1)[0]
+		return [',', ';', '\t'].map(d => [d, header.split(d).length]).sort((a, b) => b[1] - a[1])[0][0]
+	},
+
+	// One value as a field: quoted if it has to be, or if quote says to anyway. null and undefined are left empty.
+	field(value, quote=false, delimiter=',') {
+		value = value == null ? '' : String(value)
+		return quote || value.includes(delimiter) || /["\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+	},
+
+	// Join records (lists of values) into csv text, each ending in a line break. quoted lists which columns to quote even
+	// when they needn't be, the way exports always quote names. A record of one empty value is written as "", since parse
+	// would take an empty line for a blank one.
+	stringify(records, quoted=[], delimiter=',') {
+		return records.map(record => (record.map((value, j) => CSV.field(value, quoted[j], delimiter)).join(delimiter) ||
+			(record.length ? '""' : '')) + '\n').join('')
+	}
+}
+
+// A thin Promise wrapper around IndexedDB, which is where Nexportify keeps data between visits. Every store is keyed by
+// the "id" field of its records. If the browser won't give us a database (some private browsing modes), reads come back
+// empty and writes are dropped, so callers never have to care.
+// https://developer.mozilla.org/en-US/docs/Web/API/IndexedDB_API/Using_IndexedDB
+const db = {
+	name: 'nexportify',
+	version: 4,
+	stores: ['artists', 'albums', 'features', 'snapshots', 'exports', 'checkpoints'], // creating a new store means bumping the version
+	connection: null, // Promise for the open IDBDatabase, or null if there isn't one
+
+	// If another tab still has an older version of the database open, upgrading waits on it to close, possibly forever, so
+	// then this tab goes without. Likewise, this tab lets go of its connection when a newer tab needs to upgrade.
+	open() {
+		if (!db.connection) {
+			db.connection = new Promise((resolve, reject) => {
+				let request = indexedDB.open(db.name, db.version), blocked = false
+				request.onupgradeneeded = () => db.stores.forEach(store => {
+					if (!request.result.objectStoreNames.contains(store)) { request.result.createObjectStore(store, { keyPath: 'id' }) }
+				})
+				request.onsuccess = () => {
+					if (blocked) { request.result.close(); return } // too late, this tab has already done without
+					request.result.onversionchange = () => { request.result.close(); db.connection = null }
+					resolve(request.result)
+				}
+				request.onerror = () => reject(request.error)
+				request.onblocked = () => { blocked = true; reject(new Error('an older version of the database is open in another tab')) }
+			}).catch(e => { console.warn('IndexedDB is unavailable, so nothing will be stored between visits:', e); return null })
+		}
+		return db.connection
+	},
+
+	// Run fn(objectStore) inside a transaction. Resolves once the transaction completes, with whatever fn returned. Since
+	// IndexedDB requests are callback-based, fn should return an object or array its request callbacks fill in.
+	async transaction(store, mode, fn) {
+		let connection = await db.open()
+		if (!connection) { return fn(null) }
+		return new Promise((resolve, reject) => {
+			let tx = connection.transaction(store, mode)
+			let result = fn(tx.objectStore(store))
+			tx.oncomplete = () => resolve(result)
+			tx.onerror = tx.onabort = () => reject(tx.error)
+		})
+	},
+
+	// Fetch the records with the given ids, skipping any that aren't stored
+	getMany(store, ids) {
+		return db.transaction(store, 'readonly', objectStore => {
+			let records = []
+			ids.forEach(id => { if (objectStore) { objectStore.get(id).onsuccess = e => { if (e.target.result) { records.push(e.target.result) } } } })
+			return records
+		})
+	},
+
+	// Fetch every record whose id starts with prefix, in id order
+	getPrefix(store, prefix) {
+		return db.transaction(store, 'readonly', objectStore => {
+			let records = []
+			if (objectStore) { objectStore.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')).onsuccess = e => records.push(...e.target.result) }
+			return records
+		})
+	},
+
+	// Count the records whose ids start with prefix
+	countPrefix(store, prefix) {
+		return db.transaction(store, 'readonly', objectStore => {
+			let result = { count: 0 }
+			if (objectStore) { objectStore.count(IDBKeyRange.bound(prefix, prefix + '\uffff')).onsuccess = e => { result.count = e.target.result } }
+			return result
+		}).then(result => result.count)
+	},
+
+	putMany(store, records) {
+		return db.transaction(store, 'readwrite', objectStore => { records.forEach(record => objectStore?.put(record)) })
+	},
+
+	clear(store) {
+		return db.transaction(store, 'readwrite', objectStore => { objectStore?.clear() })
+	}
+}
+
+// Remembers the per-id lookups csvData makes (artist genres, album record labels, audio features), so ids already fetched
+// by a previous export, or by an earlier playlist in the same Export All, aren't fetched again until they're older
+// than the TTL. Each store maps an id to {id, value, time}.
+const cache = {
+	stores: ['artists', 'albums', 'features'],
+
+	// How many days a cached value stays good. 0 turns the cache off.
+	ttlDays() {
+		let days = localStorage.getItem('cache_ttl_days')
+		return days === null ? 30 : Number(days)
+	},
+
+	setTtlDays(days) {
+		localStorage.setItem('cache_ttl_days', days)
+	},
+
+	// Resolves to an object mapping each id that has a fresh cached value to that value
+	async lookup(store, ids) {
+		let found = {}
+		if (!cache.ttlDays() || !ids.length) { return found }
+		let oldest = Date.now() - cache.ttlDays()*86400000
+		try {
+			(await db.getMany(store, ids)).forEach(record => { if (record.time >= oldest) { found[record.id] = record.value } })
+		} catch (e) { console.warn('Cache lookup failed:', e) } // a broken cache just means more requests
+		return found
+	},
+
+	// Store an object mapping ids to values. Fire and forget; exports don't wait on this.
+	save(store, values) {
+		if (!cache.ttlDays()) { return }
+		let time = Date.now()
+		db.putMany(store, Object.entries(values).map(([id, value]) => ({ id: id, value: value, time: time })))
+			.catch(e => console.warn('Cache write failed:', e))
+	},
+
+	clear() {
+		return Promise.all(cache.stores.map(store => db.clear(store)))
+	}
+}
+
+// Remembers what each export of a playlist held, keyed by the playlist's id and snapshot_id, so the History page can show
+// what changed between any two exports and who added it. Unlike the cache, these never expire and aren't cleared with
+// it. Each record is {id, playlist, snapshot, name, time, tracks}, where tracks are {uri, name, artists, album, added_by,
+// added_at}, in playlist order.
+const snapshots = {
+	// Record an export from its trackData records. Liked Songs and the library collections have no snapshot_id, so they're
+	// skipped. Exporting the same snapshot again just updates its time. Fire and forget, like cache.save.
+	save(playlist, records) {
+		if (!playlist.id || !playlist.snapshot_id || playlist.collection) { return }
+		db.putMany('snapshots', [{ id: playlist.id + ':' + playlist.snapshot_id, playlist: playlist.id, snapshot: playlist.snapshot_id,
+			name: playlist.name, time: Date.now(), tracks: records.map(({item, track}) => ({ uri: track?.uri ?? null, name: track?.name ?? null,
+				artists: (track?.artists || []).map(artist => artist?.name?.replace(/;/g, '')).join(';'), album: track?.album?.name ?? null,
+				added_by: item.added_by?.id ?? null, added_at: item.added_at ?? null })) }])
+			.catch(e => console.warn('Snapshot write failed:', e))
+	},
+
+	// Resolves to every snapshot stored for a playlist, oldest first
+	async list(playlistId) {
+		return (await db.getPrefix('snapshots', playlistId + ':')).sort((a, b) => a.time - b.time)
+	}
+}
+
+// The last file exported for each playlist, so an incremental Export All can reuse it while the playlist's snapshot_id
+// hasn't changed, rather than fetch it all again. Each record is {id, snapshot, settings, time, file}, with file as
+// exportFile resolves it. settings are what else shaped the file (its format, and its columns if it's a csv), since a
+// file made some other way won't do.
+const savedExports = {
+	settings(format) {
+		return format == 'csv' ? 'csv:' + PlaylistExporter.selectedColumns().join(',') : format
+	},
+
+	// Like snapshots.save, skips anything without a snapshot_id, and doesn't wait on the write
+	save(playlist, format, file) {
+		if (!playlist.id || !playlist.snapshot_id || playlist.collection) { return }
+		db.putMany('exports', [{ id: playlist.id, snapshot: playlist.snapshot_id, settings: savedExports.settings(format), time: Date.now(), file: file }])
+			.catch(e => console.warn('Saving export failed:', e))
+	},
+
+	// Resolves to the stored file for the playlist if it's still current and was made with the same settings, else null
+	async lookup(playlist, format) {
+		if (!playlist.id || !playlist.snapshot_id || playlist.collection) { return null }
+		try {
+			let [record] = await db.getMany('exports', [playlist.id])
+			return record?.snapshot == playlist.snapshot_id && record.settings == savedExports.settings(format) ? record.file : null
+		} catch (e) {
+			console.warn('Looking up saved export failed:', e) // then it's fetched again, as if it had changed
+			return null
+		}
+	}
+}
+
+// How far an Export All got, so one interrupted by a reload, or by having to log in again, can pick up where it left off
+// rather than start over. There's one at most: its plan, {id: 'exportAll', user, playlists, format, incremental, time},
+// with user the id of whoever started it, and for each playlist finished so far, {id: 'exportAll:' + j, name, contents},
+// with name what the file is called in the zip.
+const checkpoint = {
+	// Forget any earlier Export All and plan a new one
+	async start(playlists, format, incremental) {
+		try {
+			await checkpoint.clear()
+			let user = await utils.apiCall('https://api.spotify.com/v1/me')
+			await db.putMany('checkpoints', [{ id: 'exportAll', user: user?.id, playlists: playlists, format: format, incremental: incremental, time: Date.now() }])
+		} catch (e) { console.warn('Saving Export All checkpoint failed:', e) } // then it just can't be resumed
+	},
+
+	// Record the j-th playlist as done. Fire and forget; if this is lost, that playlist is fetched again on resume.
+	save(j, name, contents) {
+		db.putMany('checkpoints', [{ id: 'exportAll:' + j, name: name, contents: contents }])
+			.catch(e => console.warn('Saving Export All checkpoint failed:', e))
+	},
+
+	// Resolves to the unfinished Export All's plan, or null if there isn't one the logged-in user started. Someone else's,
+	// left from before a different account logged in on this browser, is thrown away, since it can hold their private playlists.
+	async plan() {
+		let [plan] = await db.getMany('checkpoints', ['exportAll'])
+		if (!plan) { return null }
+		let user = await utils.apiCall('https://api.spotify.com/v1/me')
+		if (!user?.id) { return null } // can't tell whose it is right now, so keep it for later
+		if (plan.user != user.id) { await checkpoint.clear(); return null }
+		return plan
+	},
+
+	// Resolves to {done, total} for an unfinished Export All, or null if there isn't one
+	async progress() {
+		try {
+			let plan = await checkpoint.plan()
+			return plan ? { done: await db.countPrefix('checkpoints', 'exportAll:'), total: plan.playlists.length } : null
+		} catch (e) { console.warn('Reading Export All checkpoint failed:', e); return null }
+	},
+
+	// Resolves to the unfinished Export All's plan, with files, an object mapping each finished j to its {name, contents}
+	async load() {
+		let plan = await checkpoint.plan()
+		if (!plan) { return null }
+		let files = {}
+		let finished = await db.getPrefix('checkpoints', 'exportAll:')
+		finished.forEach(file => { files[file.id.split(':')[1]] = file })
+		return { ...plan, files: files }
+	},
+
+	clear() {
+		return db.clear('checkpoints')
+	}
+}
+
 // The table of this user's playlists, to be displayed mid-page in the playlistsContainer
 class PlaylistTable extends React.Component {
 	// By default the constructor passes properties to super.
@@ -131,6 +542,17 @@ class PlaylistTable extends React.Component {
 			tracks: {total: library.total, href: "https://api.spotify.com/v1/me/tracks"}}
 		let playlists = [[liked_songs]] // double list so .flat() flattens everything right later
 
+		// The rest of the library (listening history, saved albums, followed artists, ...) gets pseudo-playlists too, so a
+		// backup can include it. Logins from before these were listed lack the scopes some of them need, so skip whichever
+		// fail rather than everything. Collections that are a single page (recently played) are counted by fetching it whole.
+		let collections = await Promise.all(Object.entries(PlaylistExporter.collections).map(([key, c]) =>
+			utils.apiCall(c.href + (c.href.includes('?') ? '&' : '?') + 'limit=' + (c.single ? 50 : 1)).then(response => ({name: c.name,
+				collection: key, external_urls: {spotify: c.url || user.external_urls.spotify}, images: [{url: "https://placehold.co/400?text=" + c.name.replace(/ /g, '+')}],
+				owner: {id: user.id, external_urls: {spotify: user.external_urls.spotify}},
+				tracks: {total: c.single ? c.page(response).items.length : c.page(response).total, href: c.href}})
+			).catch(e => { console.warn("Couldn't list " + c.name + ':', e); return null })))
+		playlists.push(collections.filter(c => c))
+
 		// Compose a list of all the user's playlists by querying the playlists endpoint. Their total number of playlists
 		// needs to be garnered from a response, so await the first response, then send a volley of requests to get the rest.
 		// https://developer.spotify.com/documentation/web-api/reference/get-list-users-playlists
@@ -138,19 +560,22 @@ class PlaylistTable extends React.Component {
 		playlists.push(response.items)
 		let requests = []
 		for (let offset = 50; offset < response.total; offset += 50) {
-			requests.push(utils.apiCall("https://api.spotify.com/v1/me/playlists?limit=50&offset=" + offset, 2*offset-100))
+			requests.push(utils.apiCall("https://api.spotify.com/v1/me/playlists?limit=50&offset=" + offset))
 		}
 		await Promise.all(requests).then(responses => responses.map(response => playlists.push(response.items)))
 
 		//add info to this Component's state. Use setState() so render() gets called again.
 		const flatPlaylists = playlists.flat();
-		this.setState({ 
-			playlists: flatPlaylists,
-			allPlaylists: flatPlaylists // Keep original for filtering
+		PlaylistExporter.fillRestoreTargets(flatPlaylists, user.id)
+		this.showPlaylists({ // shows them through the filters saved last visit
+			allPlaylists: flatPlaylists, // Keep original for filtering
+			userId: user.id // to tell owned playlists from followed ones
 		}) // flatten list of lists into just a list
 		if (subtitle) {
 			subtitle.textContent = flatPlaylists.length + ' playlists discovered'
 		}
+		// Offer to finish an Export All that a reload or a fresh login interrupted
+		this.setState({ resumeExport: await checkpoint.progress() })
 		// Show explore button
 		const exploreButtonContainer = document.getElementById('exploreButtonContainer');
 		if (exploreButtonContainer) {
@@ -179,58 +604,256 @@ class PlaylistTable extends React.Component {
 
 	// Sort playlists
 	sortPlaylists(sortBy, direction) {
-		if (sortBy === 'default') {
-			// Reset to original order
-			const originalPlaylists = this.state.allPlaylists || this.state.playlists;
-			this.setState({ playlists: [...originalPlaylists], sortBy: 'default', sortDirection: 'asc', hasBeenSorted: false });
-			return;
-		}
-		
-		const playlistsToSort = this.state.playlists || [];
-		const sorted = [...playlistsToSort].sort((a, b) => {
-			let aVal, bVal;
-			if (sortBy === 'name') {
-				aVal = a.name.toLowerCase();
-				bVal = b.name.toLowerCase();
-			} else if (sortBy === 'owner') {
-				aVal = a.owner.id.toLowerCase();
-				bVal = b.owner.id.toLowerCase();
-			} else if (sortBy === 'tracks') {
-				aVal = a.tracks.total;
-				bVal = b.tracks.total;
-			} else {
-				return 0;
-			}
-			
-			if (typeof aVal === 'string') {
-				return direction === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-			} else {
-				return direction === 'asc' ? aVal - bVal : bVal - aVal;
-			}
-		});
-		this.setState({ playlists: sorted, sortBy: sortBy, sortDirection: direction, hasBeenSorted: true });
+		this.showPlaylists({ sortBy: sortBy, sortDirection: direction, hasBeenSorted: sortBy !== 'default' })
 	}
 
 	// Filter playlists by search term
 	filterPlaylists(searchTerm) {
-		const sourcePlaylists = this.state.allPlaylists || this.state.playlists;
-		if (!searchTerm || searchTerm.trim() === '') {
-			this.setState({ playlists: sourcePlaylists, searchTerm: '' });
-			return;
-		}
-		const filtered = sourcePlaylists.filter(playlist => {
-			const searchLower = searchTerm.toLowerCase();
-			return playlist.name.toLowerCase().includes(searchLower) ||
-				   playlist.owner.id.toLowerCase().includes(searchLower) ||
-				   playlist.tracks.total.toString().includes(searchLower);
-		});
-		this.setState({ playlists: filtered, searchTerm: searchTerm });
+		this.showPlaylists({ searchTerm: searchTerm })
+	}
+
+	// The filter bar's settings: this visit's, or else the last visit's. minTracks and maxTracks are '' when unset.
+	filters() {
+		return this.state?.filters || { ownership: 'all', collaborative: 'any', visibility: 'any', minTracks: '', maxTracks: '', description: '',
+			...JSON.parse(localStorage.getItem('playlist_filters') || '{}') }
+	}
+
+	// Change some of the filter bar's settings, and remember them for next time
+	setFilters(changes) {
+		const filters = { ...this.filters(), ...changes }
+		localStorage.setItem('playlist_filters', JSON.stringify(filters))
+		this.showPlaylists({ filters: filters })
+	}
+
+	// How many of the filter bar's settings narrow the list
+	activeFilters() {
+		const filters = this.filters()
+		return [filters.ownership != 'all', filters.collaborative != 'any', filters.visibility != 'any', filters.minTracks !== '',
+			filters.maxTracks !== '', !!filters.description].filter(active => active).length
+	}
+
+	// Whether a playlist passes the search box and the filter bar. Liked Songs and the library collections count as owned,
+	// private and not collaborative.
+	matches(playlist, searchTerm, filters, userId) {
+		const search = searchTerm.trim().toLowerCase()
+		const total = playlist.tracks.total
+		return (!search || playlist.name.toLowerCase().includes(search) || playlist.owner.id.toLowerCase().includes(search) ||
+				total.toString().includes(search)) &&
+			(filters.ownership == 'all' || (filters.ownership == 'owned') == (playlist.owner.id == userId)) &&
+			(filters.collaborative == 'any' || (filters.collaborative == 'yes') == !!playlist.collaborative) &&
+			(filters.visibility == 'any' || (filters.visibility == 'public') == (playlist.public === true)) &&
+			(filters.minTracks === '' || total >= Number(filters.minTracks)) &&
+			(filters.maxTracks === '' || total <= Number(filters.maxTracks)) &&
+			(!filters.description || (playlist.description || '').toLowerCase().includes(filters.description.toLowerCase()))
+	}
+
+	// Work out which playlists to show, in what order, after changing any of the search term, the filters and the sort (in
+	// changes, which go into the state too). This always starts over from every playlist, so loosening a filter brings
+	// playlists back, and the sort applies to whatever the search and filters leave.
+	showPlaylists(changes) {
+		const state = { ...this.state, ...changes }
+		const filters = state.filters || this.filters()
+		const playlists = (state.allPlaylists || state.playlists).filter(playlist => this.matches(playlist, state.searchTerm || '', filters, state.userId))
+		const sortBy = state.sortBy || 'default'
+		const field = { name: p => p.name.toLowerCase(), owner: p => p.owner.id.toLowerCase(), tracks: p => p.tracks.total }[sortBy]
+		if (field) {
+			playlists.sort((a, b) => {
+				const [aVal, bVal] = state.sortDirection === 'desc' ? [field(b), field(a)] : [field(a), field(b)]
+				return typeof aVal === 'string' ? aVal.localeCompare(bVal) : aVal - bVal
+			})
+		}
+		this.setState({ ...changes, playlists: playlists })
+	}
+
+	// The panel of filters beyond the search box
+	filterPanel() {
+		const filters = this.filters()
+		const select = (key, options) => React.createElement("select", {
+			className: "playlist-sort",
+			value: filters[key],
+			onChange: (e) => this.setFilters({ [key]: e.target.value })
+		}, Object.entries(options).map(([value, label]) => React.createElement("option", { key: value, value: value }, label)))
+		const count = (key, placeholder) => React.createElement("input", {
+			type: "number", min: 0, className: "playlist-search filter-count", placeholder: placeholder, value: filters[key],
+			onChange: (e) => this.setFilters({ [key]: e.target.value })
+		})
+		return React.createElement("div", { className: "filter-panel" },
+			select('ownership', { all: "Owned or followed", owned: "Owned by me", followed: "Followed" }),
+			select('collaborative', { any: "Collaborative or not", yes: "Collaborative", no: "Not collaborative" }),
+			select('visibility', { any: "Public or private", public: "Public", private: "Private" }),
+			React.createElement("span", { className: "filter-range" }, count('minTracks', "Min"), " to ", count('maxTracks', "Max"), " tracks"),
+			React.createElement("input", {
+				type: "text", className: "playlist-search", placeholder: "Description contains...", value: filters.description,
+				onChange: (e) => this.setFilters({ description: e.target.value })
+			}),
+			React.createElement("button", { className: "btn-action", type: "button", disabled: !this.activeFilters(),
+				onClick: () => this.setFilters({ ownership: 'all', collaborative: 'any', visibility: 'any', minTracks: '', maxTracks: '', description: '' })
+			}, "Reset"))
+	}
+
+	// A playlist's export progress bar, hidden until PlaylistExporter starts filling it in
+	exportProgress(playlist) {
+		return React.createElement("div", { className: "export-progress", id: "progress" + this.playlistKey(playlist), style: { display: "none" } },
+			React.createElement("div", { className: "export-progress-bar" },
+				React.createElement("div", { className: "export-progress-fill" })),
+			React.createElement("div", { className: "export-progress-label" }))
+	}
+
+	// Save a new csv column choice and show it
+	setColumns(columns) {
+		PlaylistExporter.setSelectedColumns(columns)
+		this.setState({ columns: columns })
+	}
+
+	// The panel for choosing which columns csv exports get, and in what order. Chosen columns come first, in export order,
+	// with arrows to move them; the rest follow, unchecked.
+	columnPicker() {
+		const chosen = this.state.columns || PlaylistExporter.selectedColumns()
+		const others = Object.keys(PlaylistExporter.columns).filter(key => !chosen.includes(key))
+		const move = (j, step) => {
+			const columns = [...chosen];
+			[columns[j], columns[j+step]] = [columns[j+step], columns[j]]
+			this.setColumns(columns)
+		}
+		return React.createElement("div", { className: "column-picker" },
+			React.createElement("div", { className: "column-picker-header" },
+				React.createElement("span", null, chosen.length + " of " + Object.keys(PlaylistExporter.columns).length + " CSV columns"),
+				React.createElement("button", { className: "btn-action", type: "button",
+					onClick: () => this.setColumns(PlaylistExporter.defaultColumns) }, "Reset"),
+				React.createElement("button", { className: "btn-action", type: "button",
+					onClick: () => this.setColumns(['track_uri', 'track_name', 'artist_names']) }, "Minimal")),
+			React.createElement("ol", { className: "column-picker-list" },
+				chosen.map((key, j) => React.createElement("li", { key: key },
+					React.createElement("label", null,
+						React.createElement("input", { type: "checkbox", checked: true, disabled: chosen.length == 1, // a csv needs at least one column
+							onChange: () => this.setColumns(chosen.filter(k => k != key)) }),
+						" " + PlaylistExporter.columns[key].header),
+					React.createElement("span", { className: "column-source" }, PlaylistExporter.columns[key].source),
+					React.createElement("button", { className: "btn-action", type: "button", title: "Move up", disabled: j == 0, onClick: () => move(j, -1) }, "↑"),
+					React.createElement("button", { className: "btn-action", type: "button", title: "Move down", disabled: j == chosen.length-1, onClick: () => move(j, 1) }, "↓"))),
+				others.map(key => React.createElement("li", { key: key, className: "unchosen" },
+					React.createElement("label", null,
+						React.createElement("input", { type: "checkbox", checked: false, onChange: () => this.setColumns([...chosen, key]) }),
+						" " + PlaylistExporter.columns[key].header),
+					React.createElement("span", { className: "column-source" }, PlaylistExporter.columns[key].source))))
+		)
+	}
+
+	// One <option> per export format
+	// Pass a playlist to only offer the formats it can be exported as
+	formatOptions(playlist=null) {
+		return Object.entries(PlaylistExporter.formats).filter(([format]) => !playlist || PlaylistExporter.formatFor(playlist, format) == format)
+			.map(([format, f]) => React.createElement("option", { key: format, value: format }, f.label))
+	}
+
+	// What per-playlist choices and element ids are keyed by, rather than row, so they survive searching, filtering and
+	// sorting, even mid-export. (Liked Songs and the library collections have no id, but their names are unique.)
+	playlistKey(playlist) {
+		return playlist.id || playlist.name
+	}
+
+	// The export format for one playlist: its own pick if it has one, otherwise the one chosen for everything
+	playlistFormat(playlist) {
+		return PlaylistExporter.formatFor(playlist,
+			this.state.playlistFormats?.[this.playlistKey(playlist)] || this.state.exportFormat || PlaylistExporter.exportFormat())
+	}
+
+	// The ticked playlists, in their original order, including any the search currently hides
+	selectedPlaylists() {
+		return (this.state.allPlaylists || this.state.playlists).filter(playlist => this.state.selected?.[this.playlistKey(playlist)])
+	}
+
+	// Tick the given playlists, on top of whatever's ticked already, or untick them
+	select(playlists, on) {
+		const selected = { ...this.state.selected }
+		playlists.forEach(playlist => { if (on) { selected[this.playlistKey(playlist)] = true } else { delete selected[this.playlistKey(playlist)] } })
+		this.setState({ selected: selected })
+	}
+
+	// The checkbox on each card and list row
+	selectBox(playlist) {
+		return React.createElement("input", {
+			type: "checkbox",
+			className: "playlist-select",
+			title: "Select for batch export, analysis or combining",
+			checked: !!this.state.selected?.[this.playlistKey(playlist)],
+			onClick: (e) => e.stopPropagation(),
+			onChange: (e) => this.select([playlist], e.target.checked)
+		})
+	}
+
+	// The selection count and what can be done with the selection. Batch Export makes a zip like Export All does; Analyze
+	// and Combine treat the selected playlists as one.
+	selectionBar() {
+		const selection = this.selectedPlaylists()
+		return React.createElement("div", { className: "selection-bar" },
+			React.createElement("span", null, selection.length ? selection.length + " selected" : "Tick playlists to act on several at once"),
+			React.createElement("button", { className: "btn-action", type: "button", title: "Select every playlist the search shows",
+				onClick: () => this.select(this.state.playlists, true) }, "Select All Shown"),
+			React.createElement("button", { className: "btn-action", type: "button", disabled: !selection.length,
+				onClick: () => this.setState({ selected: {} }) }, "Select None"),
+			React.createElement("button", { className: "btn-action", type: "button", id: "batchExport", disabled: !selection.length,
+				title: "Export the selected playlists as a zip",
+				onClick: () => { this.setState({ resumeExport: null }); PlaylistExporter.exportAll(selection,
+					this.state.exportFormat || PlaylistExporter.exportFormat(), this.incrementalExport()) } }, "Export"),
+			React.createElement("button", { className: "btn-action", type: "button", id: "batchAnalyze", disabled: !selection.length,
+				title: "Analyze the selected playlists together", onClick: () => PlaylistExporter.analyzeMany(selection) }, "Analyze"),
+			React.createElement("button", { className: "btn-action", type: "button", id: "batchCombine", disabled: !selection.length,
+				title: "Save the selected playlists' tracks as one CSV, with a column saying which playlist each came from",
+				onClick: () => PlaylistExporter.combine(selection) }, "Combine"))
+	}
+
+	// Whether Export All should skip fetching playlists that haven't changed since they were last exported
+	incrementalExport() {
+		return this.state.incrementalExport ?? localStorage.getItem('incremental_export') == 'true'
+	}
+
+	// The per-playlist buttons, shared by the card and list views. The Cancel button stays hidden until an export starts.
+	playlistActions(playlist) {
+		const key = this.playlistKey(playlist)
+		return React.createElement("div", { className: "playlist-actions" },
+			React.createElement("select", {
+				className: "btn-action format-select",
+				title: "Export format",
+				value: this.playlistFormat(playlist),
+				onClick: (e) => e.stopPropagation(),
+				onChange: (e) => this.setState({ playlistFormats: { ...this.state.playlistFormats, [this.playlistKey(playlist)]: e.target.value } })
+			}, this.formatOptions(playlist)),
+			React.createElement("button", { 
+				className: "btn-action", 
+				id: "export" + key, 
+				onClick: (e) => { e.stopPropagation(); PlaylistExporter.export(playlist, key, this.playlistFormat(playlist)); }
+			}, "Export"),
+			React.createElement("button", {
+				className: "btn-action btn-cancel",
+				id: "cancelExport" + key,
+				style: { display: "none" },
+				onClick: (e) => { e.stopPropagation(); PlaylistExporter.cancel("export" + key); }
+			}, "Cancel"),
+			React.createElement("button", { 
+				className: "btn-action", 
+				id: "analyze" + key, 
+				onClick: (e) => { e.stopPropagation(); PlaylistExporter.analyze(playlist, key); }
+			}, "Analyze"),
+			PlaylistExporter.listsTracks(playlist) ? React.createElement("button", {
+				className: "btn-action",
+				id: "duplicates" + key,
+				title: "Find songs that are in this playlist more than once",
+				onClick: (e) => { e.stopPropagation(); PlaylistExporter.duplicates([playlist], key); }
+			}, "Duplicates") : null,
+			playlist.id && !playlist.collection ? React.createElement("button", {
+				className: "btn-action",
+				id: "history" + key,
+				title: "Compare the exports of this playlist made in this browser",
+				onClick: (e) => { e.stopPropagation(); PlaylistExporter.history(playlist); }
+			}, "History") : null
+		)
 	}
 
 	// createElement is a legacy API https://react.dev/reference/react/createElement, but I like it better than JSX at the moment
 	// https://stackoverflow.com/questions/78433001/why-is-createelement-a-part-of-the-legacy-api
 	render() {
-		if (this.state?.playlists.length > 0) {
+		if (this.state?.allPlaylists?.length > 0) { // even if the search or filters leave none
 			const viewMode = this.state.viewMode || 'cards';
 			const sortBy = this.state.sortBy || 'default';
 			const sortDirection = this.state.sortDirection || 'asc';
@@ -311,20 +934,113 @@ class PlaylistTable extends React.Component {
 							title: "List View"
 						}, "☰")
 					),
+					React.createElement("div", {
+						className: "cache-controls",
+						style: {
+							display: "flex",
+							gap: "var(--space-sm)",
+							alignItems: "center"
+						}
+					},
+						React.createElement("select", {
+							className: "playlist-sort",
+							title: "How long fetched genres, labels and audio features are reused before being fetched again",
+							defaultValue: String(cache.ttlDays()),
+							onChange: (e) => cache.setTtlDays(e.target.value)
+						},
+							React.createElement("option", { value: "0" }, "No cache"),
+							React.createElement("option", { value: "1" }, "Cache 1 day"),
+							React.createElement("option", { value: "7" }, "Cache 7 days"),
+							React.createElement("option", { value: "30" }, "Cache 30 days"),
+							React.createElement("option", { value: "365" }, "Cache 1 year")
+						),
+						React.createElement("button", {
+							className: "btn btn-action",
+							type: "button",
+							id: "clearCache",
+							title: "Forget all cached genres, labels and audio features",
+							onClick: async (e) => {
+								const button = e.currentTarget
+								await cache.clear()
+								button.textContent = "Cache Cleared"
+								setTimeout(() => { button.textContent = "Clear Cache" }, 2000)
+							}
+						}, "Clear Cache")
+					),
+					React.createElement("select", {
+						className: "playlist-sort",
+						id: "exportFormat",
+						title: "File format for Export All, and for Export on playlists without their own choice",
+						value: this.state.exportFormat || PlaylistExporter.exportFormat(),
+						onChange: (e) => { localStorage.setItem('export_format', e.target.value); this.setState({ exportFormat: e.target.value }) }
+					}, this.formatOptions()),
+					React.createElement("button", {
+						className: "btn btn-action" + (this.state.showFilters || this.activeFilters() ? ' active' : ''),
+						type: "button",
+						title: "Filter by owner, collaboration, visibility, size and description",
+						onClick: () => this.setState({ showFilters: !this.state.showFilters })
+					}, "Filters" + (this.activeFilters() ? " (" + this.activeFilters() + ")" : "")),
+					React.createElement("button", {
+						className: "btn btn-action" + (this.state.showColumns ? ' active' : ''),
+						type: "button",
+						title: "Choose the columns of CSV exports",
+						onClick: () => this.setState({ showColumns: !this.state.showColumns })
+					}, "Columns"),
+					React.createElement("button", {
+						className: "btn btn-action" + (this.incrementalExport() ? ' active' : ''),
+						type: "button",
+						title: "Export All reuses the last export of playlists that haven't changed since, instead of fetching them again",
+						onClick: () => { let on = !this.incrementalExport(); localStorage.setItem('incremental_export', on); this.setState({ incrementalExport: on }) }
+					}, "Only Changed"),
 					React.createElement("button", { 
 						className: "btn btn-action", 
 						type: "submit", 
 						id: "exportAll",
-						onClick: () => PlaylistExporter.exportAll(this.state.playlists) 
-					}, "Export All")),
+						onClick: () => { this.setState({ resumeExport: null }); PlaylistExporter.exportAll(this.state.playlists,
+							this.state.exportFormat || PlaylistExporter.exportFormat(), this.incrementalExport()) }
+					}, "Export All"),
+					React.createElement("button", {
+						className: "btn btn-action btn-cancel",
+						type: "button",
+						id: "cancelExportAll",
+						style: { display: "none" },
+						onClick: () => PlaylistExporter.cancel("exportAll")
+					}, "Cancel"),
+					this.state.resumeExport ? React.createElement("button", {
+						className: "btn btn-action",
+						type: "button",
+						id: "resumeExport",
+						title: "Finish the Export All that was interrupted, without fetching the playlists it already did",
+						onClick: () => { this.setState({ resumeExport: null }); PlaylistExporter.resumeExportAll() }
+					}, "Resume export (" + this.state.resumeExport.done + "/" + this.state.resumeExport.total + " done)") : null,
+					this.state.resumeExport ? React.createElement("button", {
+						className: "btn btn-action btn-cancel",
+						type: "button",
+						title: "Forget the interrupted Export All",
+						onClick: () => { this.setState({ resumeExport: null }); checkpoint.clear() }
+					}, "Discard") : null,
+					React.createElement("button", {
+						className: "btn btn-action",
+						type: "button",
+						id: "findDuplicates",
+						title: "Find songs that are in any of your playlists more than once, within one playlist or across several",
+						onClick: () => PlaylistExporter.duplicates(this.state.playlists)
+					}, "Find Duplicates")),
+				this.state.showFilters ? this.filterPanel() : null,
+				this.state.showColumns ? this.columnPicker() : null,
+				this.selectionBar(),
+				// Export All progress, filled in by PlaylistExporter once an Export All starts
+				React.createElement("div", { id: "exportAllProgress", className: "export-progress export-all-progress", style: { display: "none" } }),
+				this.state.playlists.length ? null : React.createElement("p", { className: "playlists-empty" }, "No playlists match the search and filters"),
 				// Playlist items (cards or list)
 						this.state.playlists.map((playlist, i) =>
 					viewMode === 'cards' ?
 					React.createElement("div", { 
-						key: i, 
-						className: "playlist-card",
+						key: this.playlistKey(playlist), 
+						className: "playlist-card" + (this.state.selected?.[this.playlistKey(playlist)] ? " selected" : ""),
 						style: { animation: `fadeIn 0.6s ease-out ${i * 0.05}s both` }
 					},
+						this.selectBox(playlist),
 						React.createElement("a", { 
 							href: playlist.external_urls.spotify, 
 							target: "_blank",
@@ -341,27 +1057,18 @@ class PlaylistTable extends React.Component {
 							React.createElement("h3", { className: "playlist-name" }, playlist.name),
 							React.createElement("div", { className: "playlist-owner" }, playlist.owner.id),
 							React.createElement("div", { className: "playlist-meta" },
-								React.createElement("span", null, playlist.tracks.total + " tracks")
+								React.createElement("span", null, playlist.tracks.total + " " + PlaylistExporter.itemNoun(playlist))
 							),
-							React.createElement("div", { className: "playlist-actions" },
-								React.createElement("button", { 
-									className: "btn-action", 
-									id: "export" + i, 
-									onClick: (e) => { e.stopPropagation(); PlaylistExporter.export(this.state.playlists[i], i); }
-								}, "Export"),
-								React.createElement("button", { 
-									className: "btn-action", 
-									id: "analyze" + i, 
-									onClick: (e) => { e.stopPropagation(); PlaylistExporter.analyze(this.state.playlists[i], i); }
-								}, "Analyze")
-							)
+							this.exportProgress(playlist),
+							this.playlistActions(playlist)
 						)
 					) :
 					React.createElement("div", { 
-						key: i, 
-						className: "playlist-list-item",
+						key: this.playlistKey(playlist), 
+						className: "playlist-list-item" + (this.state.selected?.[this.playlistKey(playlist)] ? " selected" : ""),
 						style: { animation: `fadeIn 0.6s ease-out ${i * 0.05}s both` }
 					},
+						this.selectBox(playlist),
 						React.createElement("div", { className: "playlist-list-content" },
 							React.createElement("a", {
 								href: playlist.external_urls.spotify,
@@ -378,23 +1085,13 @@ class PlaylistTable extends React.Component {
 									React.createElement("h3", { className: "playlist-name" }, playlist.name),
 									React.createElement("div", { className: "playlist-owner" }, playlist.owner.id),
 									React.createElement("div", { className: "playlist-meta" },
-										React.createElement("span", null, playlist.tracks.total + " tracks")
-									)
+										React.createElement("span", null, playlist.tracks.total + " " + PlaylistExporter.itemNoun(playlist))
+									),
+									this.exportProgress(playlist)
 								)
 							)
 						),
-						React.createElement("div", { className: "playlist-actions" },
-							React.createElement("button", { 
-								className: "btn-action", 
-								id: "export" + i, 
-								onClick: (e) => { e.stopPropagation(); PlaylistExporter.export(this.state.playlists[i], i); }
-							}, "Export"),
-							React.createElement("button", { 
-								className: "btn-action", 
-								id: "analyze" + i, 
-								onClick: (e) => { e.stopPropagation(); PlaylistExporter.analyze(this.state.playlists[i], i); }
-							}, "Analyze")
-						)
+						this.playlistActions(playlist)
 					)
 				)
 			)
@@ -407,41 +1104,25 @@ class PlaylistTable extends React.Component {
 
 // Handles exporting playlists as CSV files
 let PlaylistExporter = {
-	// Parse an uploaded CSV file and return the data as a string
-	async parseUploadedCSV(file) {
+	// Parse an uploaded CSV file and return the data as a string, after checking it has the given headers. Whatever its
+	// delimiter, the string comes back comma-separated, the way the analysis pages expect.
+	async parseUploadedCSV(file, requiredHeaders=['track name', 'artist name', 'album name']) {
 		return new Promise((resolve, reject) => {
 			const reader = new FileReader();
 			
 			reader.onload = (e) => {
+				const csvContent = e.target.result;
+				
+				// Basic validation
+				if (!csvContent || csvContent.trim().length === 0) {
+					reject(new Error('CSV file is empty'));
+					return;
+				}
+				
 				try {
-					const csvContent = e.target.result;
-					
-					// Basic validation
-					if (!csvContent || csvContent.trim().length === 0) {
-						reject(new Error('CSV file is empty'));
-						return;
-					}
-					
-					// Check for required headers
-					const lines = csvContent.split('\n');
-					if (lines.length < 2) {
-						reject(new Error('CSV file must contain headers and at least one data row'));
-						return;
-					}
-					
-					const headers = lines[0].toLowerCase();
-					const requiredHeaders = ['track name', 'artist name', 'album name'];
-					const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-					
-					if (missingHeaders.length > 0) {
-						reject(new Error(`CSV missing required headers: ${missingHeaders.join(', ')}`));
-						return;
-					}
-					
-					console.log('CSV parsed successfully. Total lines:', lines.length - 1);
-					resolve(csvContent);
+					resolve(this.checkCSV(csvContent, requiredHeaders));
 				} catch (error) {
-					reject(new Error('Failed to parse CSV: ' + error.message));
+					reject(error);
 				}
 			};
 			
@@ -453,9 +1134,247 @@ let PlaylistExporter = {
 		});
 	},
 
-	// Analyze an uploaded CSV file
+	// Check csv text has the given headers and at least one row, and return it comma-separated. Throws if it doesn't.
+	checkCSV(csvContent, requiredHeaders=['track name', 'artist name', 'album name']) {
+		const records = CSV.parse(csvContent, CSV.delimiter(csvContent));
+		if (records.length < 2) {
+			throw new Error('CSV file must contain headers and at least one data row');
+		}
+		
+		const headers = records[0].join(',').toLowerCase();
+		const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+		if (missingHeaders.length > 0) {
+			throw new Error(`CSV missing required headers: ${missingHeaders.join(', ')}`);
+		}
+		
+		console.log('CSV parsed successfully. Total lines:', records.length - 1);
+		return CSV.stringify(records);
+	},
+
+	// The columns an uploaded csv's columns can be mapped to, in the order they're offered, each with the header it gets in
+	// Nexportify's own schema, the headers other tools use for it (matched whole, ignoring case), and optionally a convert
+	// function that puts a (trimmed, non-empty) value the way our exports write it, as a string. Track and artist names
+	// are the least analysis needs.
+	uploadFields: {
+		track_uri: { header: 'Track URI', aliases: ['track uri', 'spotify uri', 'spotify track uri', 'uri', 'spotify - id', 'spotify id'],
+			convert: value => /^[A-Za-z0-9]{22}$/.test(value) ? 'spotify:track:' + value : value }, // TuneMyMusic gives bare ids
+		track_name: { header: 'Track Name', aliases: ['track name', 'track', 'title', 'song', 'song name', 'track title', 'name'], required: true },
+		artist_names: { header: 'Artist Name(s)', aliases: ['artist name(s)', 'artist name', 'artist', 'artists', 'artist(s)', 'artist names'], required: true },
+		album_name: { header: 'Album Name', aliases: ['album name', 'album', 'album title', 'release'] },
+		release_date: { header: 'Release Date', aliases: ['release date', 'album release date', 'year', 'release year'] },
+		duration_ms: { header: 'Duration (ms)', aliases: ['duration (ms)', 'track duration (ms)', 'duration_ms', 'duration', 'length'],
+			convert: value => /^\d+(:\d\d)+$/.test(value) ? String(1000 * value.split(':').reduce((s, part) => 60 * s + Number(part), 0)) : value }, // 3:45
+		popularity: { header: 'Popularity', aliases: ['popularity'] },
+		explicit: { header: 'Explicit', aliases: ['explicit'] },
+		added_at: { header: 'Added At', aliases: ['added at', 'date added', 'added', 'date', 'timestamp', 'uts', 'scrobble time'],
+			convert: value => /^\d{9,10}$/.test(value) ? new Date(1000 * value).toISOString() : value }, // Last.fm's unix times
+		genres: { header: 'Genres', aliases: ['genres', 'artist genres', 'genre', 'tags'] },
+		record_label: { header: 'Record Label', aliases: ['record label', 'label'] },
+		isrc: { header: 'ISRC', aliases: ['isrc'] }
+	},
+
+	// Tools whose csvs we can recognize, by headers only they have together. Only used to say what we think a file is.
+	uploadSchemas: [
+		{ name: 'exportify.net', headers: ['track uri', 'track name', 'artist name(s)', 'album artist name(s)'] },
+		{ name: 'TuneMyMusic', headers: ['track name', 'artist name', 'album', 'playlist name'] },
+		{ name: 'Soundiiz', headers: ['title', 'artist', 'album', 'isrc'] },
+		{ name: 'Last.fm', headers: ['artist', 'album', 'track'] }
+	],
+
+	// Guess which of a csv's headers holds each upload field: the first of the field's aliases that's a header, if any
+	// header not taken by an earlier field is. Returns {schema, mapping}, where mapping has a column index (or -1) per field.
+	suggestMapping(headers) {
+		const names = headers.map(header => header.trim().toLowerCase());
+		const taken = new Set();
+		const mapping = {};
+		Object.entries(this.uploadFields).forEach(([key, field]) => {
+			const alias = field.aliases.find(alias => names.some((name, j) => name == alias && !taken.has(j)));
+			mapping[key] = alias ? names.findIndex((name, j) => name == alias && !taken.has(j)) : -1;
+			taken.add(mapping[key]);
+		});
+		const schema = this.uploadSchemas.find(schema => schema.headers.every(header => names.includes(header)));
+		return { schema: schema?.name, mapping: mapping };
+	},
+
+	// Rewrite csv records in our own schema, given which column (or -1) holds each upload field. The fields that aren't
+	// mapped are left out, except the ones analysis can't do without, which stay as empty columns. The upload worker
+	// runs this too (see uploadWorker), so it mustn't use anything but this.uploadFields.
+	remapRecords(records, mapping) {
+		const fields = Object.entries(this.uploadFields).filter(([key, field]) => mapping[key] >= 0 || field.required || key == 'album_name');
+		const rows = records.slice(1).map(row => fields.map(([key, field]) => {
+			const value = mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '';
+			return field.convert && value ? field.convert(value) : value;
+		}));
+		return [fields.map(([, field]) => field.header), ...rows];
+	},
+
+	// Whether csv headers are already in our own schema (ours, and exportify.net's), so they needn't be mapped
+	ownSchema(headers) {
+		return ['Track Name', 'Artist Name(s)', 'Album Name'].every(header => headers.includes(header));
+	},
+
+	// Put one csv of a library upload in our own schema. Other tools' exports go by suggestMapping's guesses, since asking
+	// about each file of a library would be too much. Throws, saying why, if the file isn't a list of tracks.
+	libraryCSV(text) {
+		const records = CSV.parse(text, CSV.delimiter(text));
+		if (records.length < 2) throw new Error('no rows');
+		if (this.ownSchema(records[0])) return CSV.stringify(records);
+		const { mapping } = this.suggestMapping(records[0]);
+		const missing = Object.entries(this.uploadFields).filter(([key, field]) => field.required && mapping[key] < 0);
+		if (missing.length) throw new Error('no ' + missing.map(([, field]) => field.header).join(' or ') + ' column');
+		return CSV.stringify(this.remapRecords(records, mapping));
+	},
+
+	// Put one of our own json exports (see formats.json) in our own csv schema, as the csv export would have written it,
+	// for a library upload. Throws, saying why, if it isn't a list of tracks.
+	libraryJSON(text) {
+		const data = JSON.parse(text);
+		if (data?.collection) throw new Error('not a list of tracks'); // saved albums, followed artists and such
+		if (!Array.isArray(data?.tracks)) throw new Error('not a Nexportify export');
+		if (!data.tracks.length) throw new Error('no rows');
+		const records = data.tracks.map(({ type, artists, album, show, added_by, added_at, rank, played_at, genres, audio_features, ...track }) => ({
+			kind: type,
+			item: { added_by: added_by == null ? null : { id: added_by }, added_at: added_at, rank: rank, played_at: played_at },
+			track: { ...track, external_ids: { isrc: track.isrc }, artists: artists, show: show, release_date: show?.release_date,
+				album: { id: album?.id, name: album?.name, album_type: album?.type, release_date: album?.release_date, total_tracks: album?.total_tracks } },
+			genres: genres || [],
+			album: { label: album?.record_label, upc: album?.upc, copyrights: album?.copyrights },
+			features: audio_features
+		}));
+		return this.formats.csv.render({}, records, [...this.defaultColumns, ...this.analysisColumns]);
+	},
+
+	// Settles the mapping panel's pending mapColumns with null, if it's showing
+	cancelMapping: null,
+
+	// Ask which of an uploaded csv's columns are which, in the upload zone's mapping panel, starting from suggestMapping's
+	// guesses. Each field shows the file's first row's value (from firstRow) for the column it's set to. Resolves to the
+	// chosen mapping, for remapRecords, or null if the user cancels, or uploads another file that needs the panel.
+	async mapColumns(headers, firstRow, fileName) {
+		const { schema, mapping } = this.suggestMapping(headers);
+		const panel = document.getElementById('columnMapping');
+		if (!panel) return mapping;
+		this.cancelMapping?.(); // the panel can only ask about one file at a time
+		const sample = key => mapping[key] >= 0 ? firstRow[mapping[key]] || '' : '';
+		panel.innerHTML = '<div class="column-picker-header"><span>Which columns of ' + this.escapeHtml(fileName) + ' are which?' +
+			(schema ? ' It looks like a ' + this.escapeHtml(schema) + ' export.' : '') + '</span></div>' +
+			'<ol class="column-picker-list">' + Object.entries(this.uploadFields).map(([key, field]) =>
+				'<li><label for="mapping-' + key + '">' + this.escapeHtml(field.header) + (field.required ? ' *' : '') + '</label>' +
+				'<select id="mapping-' + key + '" class="playlist-sort" data-field="' + key + '">' +
+					'<option value="-1">(none)</option>' + headers.map((header, j) => '<option value="' + j + '"' +
+					(mapping[key] == j ? ' selected' : '') + '>' + this.escapeHtml(header) + '</option>').join('') + '</select>' +
+				'<span class="column-source" id="sample-' + key + '">' + this.escapeHtml(sample(key)) + '</span></li>').join('') + '</ol>' +
+			'<div class="column-mapping-actions"><button type="button" class="btn-action" id="mappingAnalyze">Analyze</button>' +
+			'<button type="button" class="btn-action" id="mappingCancel">Cancel</button></div>';
+		panel.style.display = 'block';
+		
+		const analyze = document.getElementById('mappingAnalyze');
+		const check = () => { analyze.disabled = Object.entries(this.uploadFields).some(([key, field]) => field.required && mapping[key] < 0); };
+		panel.querySelectorAll('select').forEach(select => select.addEventListener('change', () => {
+			mapping[select.dataset.field] = Number(select.value);
+			document.getElementById('sample-' + select.dataset.field).textContent = sample(select.dataset.field);
+			check();
+		}));
+		check();
+		return new Promise(resolve => {
+			const done = result => {
+				this.cancelMapping = null;
+				panel.style.display = 'none';
+				panel.innerHTML = '';
+				resolve(result);
+			};
+			this.cancelMapping = () => done(null);
+			analyze.addEventListener('click', () => done(mapping));
+			document.getElementById('mappingCancel').addEventListener('click', () => done(null));
+		});
+	},
+
+	// Parse a streaming history file from Spotify's "Download your data" into plays: {ts, ms, track, artist, uri}, with ts
+	// in ms since the epoch. Takes both the account data's StreamingHistory*.json (endTime, msPlayed, trackName, artistName)
+	// and the extended history's endsong_*.json or Streaming_History_Audio_*.json (ts, ms_played, master_metadata_*,
+	// spotify_track_uri). Podcast episodes and plays with no track name are left out. Throws if it isn't streaming history.
+	parseStreamingHistory(text) {
+		const entries = JSON.parse(text);
+		if (!Array.isArray(entries) || !entries.every(entry => entry && (entry.ts || entry.endTime) && ('ms_played' in entry || 'msPlayed' in entry))) {
+			throw new Error('Not a Spotify streaming history file');
+		}
+		return entries.map(entry => entry.endTime ? // account data times are UTC too, but written as "2023-01-31 18:04"
+			{ ts: Date.parse(entry.endTime.replace(' ', 'T') + 'Z'), ms: entry.msPlayed, track: entry.trackName, artist: entry.artistName, uri: null } :
+			{ ts: Date.parse(entry.ts), ms: entry.ms_played, track: entry.master_metadata_track_name,
+				artist: entry.master_metadata_album_artist_name, uri: entry.spotify_track_uri })
+			.filter(play => play.track && !isNaN(play.ts));
+	},
+
+	// Start a Web Worker that reads and parses an uploaded csv off the main thread, so a whole library doesn't freeze the
+	// tab. It runs the same csv parser and upload methods as this page, embedded by their source. Post it {file}, and it
+	// answers with messages by type:
+	// - progress: {phase, fraction}, as it reads the file, then parses it
+	// - headers: {headers, firstRow}, if the file isn't in our own schema. Post back {mapping}, from mapColumns, to go on.
+	// - done: {headers, data, summary, charts}, the trimmed rows as JSON, their analysisSummary and their analysisCharts,
+	//   for generateAnalysisHTML
+	// - error: {message}
+	uploadWorker() {
+		const fields = Object.entries(this.uploadFields).map(([key, field]) => key + ': { header: ' + JSON.stringify(field.header) +
+			(field.required ? ', required: true' : '') + (field.convert ? ', convert: ' + field.convert : '') + ' }').join(', ');
+		const source = `
+			const CSV = { ${CSV.parse}, ${CSV.delimiter} }; // the main page's csv parser
+			const PlaylistExporter = { uploadFields: { ${fields} }, ${this.remapRecords}, ${this.ownSchema}, ${this.analysisSummary},
+				${this.analysisCharts} };
+			let records = null;
+			let reported = -1;
+
+			// Tell the page how far along a phase is, once per percent
+			function progress(phase, fraction) {
+				const percent = Math.floor(100 * fraction);
+				if (percent != reported) {
+					reported = percent;
+					postMessage({ type: 'progress', phase: phase, fraction: fraction });
+				}
+			}
+
+			// Put the records in our own schema if there's a mapping (which trims them), else trim them, count what they hold,
+			// and hand the rows back as JSON, which is how the analysis page embeds them anyway, and far quicker to pass back
+			// than 200k little arrays
+			function finish(mapping) {
+				const [headers, ...rows] = mapping ? PlaylistExporter.remapRecords(records, mapping) :
+					records.map(record => record.map(cell => (cell || '').trim()));
+				postMessage({ type: 'done', headers: headers, data: JSON.stringify(rows), summary: PlaylistExporter.analysisSummary(headers, rows),
+					charts: PlaylistExporter.analysisCharts(headers, rows) });
+			}
+
+			onmessage = async ({ data: message }) => {
+				try {
+					if (message.mapping) return finish(message.mapping);
+					// Read the file a chunk at a time, to have progress to show
+					const reader = message.file.stream().getReader();
+					const decoder = new TextDecoder();
+					let text = '', bytes = 0;
+					for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+						bytes += chunk.value.length;
+						text += decoder.decode(chunk.value, { stream: true });
+						progress('Reading', bytes / message.file.size);
+					}
+					text += decoder.decode();
+					reported = -1;
+					records = CSV.parse(text, CSV.delimiter(text), fraction => progress('Parsing', fraction));
+					if (records.length < 2) throw new Error('CSV file must contain headers and at least one data row');
+					if (PlaylistExporter.ownSchema(records[0])) finish(null);
+					else postMessage({ type: 'headers', headers: records[0], firstRow: records[1] });
+				} catch (error) {
+					postMessage({ type: 'error', message: error.message });
+				}
+			};`;
+		const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+		const worker = new Worker(url);
+		worker.addEventListener('message', () => URL.revokeObjectURL(url), { once: true }); // it's loaded by then
+		return worker;
+	},
+
+	// Analyze an uploaded CSV file. The reading, parsing and counting happen in an uploadWorker, with progress shown in
+	// the upload status, so even a whole library's export leaves the page responsive.
 	async analyzeFromUpload(file) {
 		const uploadStatus = document.getElementById('uploadStatus');
+		const worker = this.uploadWorker();
 		
 		try {
 			// Show processing message
@@ -465,8 +1384,27 @@ let PlaylistExporter = {
 				uploadStatus.textContent = 'Processing CSV file...';
 			}
 			
-			// Parse the CSV
-			const csvContent = await this.parseUploadedCSV(file);
+			// Parse the CSV, and put it in our own columns if it's from another tool. Resolves to null if the user cancels that.
+			const parsed = await new Promise((resolve, reject) => {
+				worker.onmessage = async ({ data: message }) => {
+					if (message.type == 'progress') {
+						if (uploadStatus) uploadStatus.textContent = message.phase + ' CSV file... ' + Math.floor(100 * message.fraction) + '%';
+					} else if (message.type == 'headers') {
+						if (uploadStatus) uploadStatus.style.display = 'none';
+						const mapping = await this.mapColumns(message.headers, message.firstRow, file.name);
+						if (!mapping) return resolve(null);
+						if (uploadStatus) uploadStatus.style.display = 'block';
+						worker.postMessage({ mapping: mapping });
+					} else if (message.type == 'error') {
+						reject(new Error(message.message));
+					} else {
+						resolve(message);
+					}
+				};
+				worker.onerror = event => reject(new Error(event.message || 'Failed to read file'));
+				worker.postMessage({ file: file });
+			});
+			if (!parsed) return;
 			
 			// Create a fake playlist object for the analysis
 			const playlistName = file.name.replace('.csv', '').replace(/_/g, ' ');
@@ -475,7 +1413,7 @@ let PlaylistExporter = {
 				external_urls: { spotify: '#' },
 				images: [],
 				owner: { id: 'Uploaded CSV' },
-				tracks: { total: csvContent.split('\n').length - 1 }
+				tracks: { total: parsed.summary.rows }
 			};
 			
 			// Open analysis window
@@ -485,7 +1423,7 @@ let PlaylistExporter = {
 			}
 			
 			// Generate and write the HTML
-			analysisWindow.document.write(this.generateAnalysisHTML(fakePlaylist, csvContent));
+			analysisWindow.document.write(this.generateAnalysisHTML(fakePlaylist, null, parsed));
 			analysisWindow.document.close();
 			
 			// Show success message
@@ -504,68 +1442,636 @@ let PlaylistExporter = {
 				uploadStatus.style.display = 'block';
 				uploadStatus.textContent = '✗ ' + error.message;
 			}
+		} finally {
+			worker.terminate();
 		}
 	},
 
-	// Take the access token string and playlist object, generate a csv from it, and when that data is resolved and
-	// returned, save to a file.
-	async export(playlist, row) {
-		const exportBtn = document.getElementById("export"+row)
-		if (exportBtn) exportBtn.textContent = 'Exporting...' // spinner on button
-		try {
-			let csv = await this.csvData(playlist)
-			saveAs(new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8" }), this.fileName(playlist) + ".csv")
-		} catch (e) {
-			error.innerHTML += "Couldn't export " + playlist.name + ". Encountered <tt>" + e + "</tt><br/>" + e.stack +
-					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
-		} finally { // change back the export button's text
-			const exportBtnReset = document.getElementById("export"+row)
-			if (exportBtnReset) exportBtnReset.textContent = 'Export'
-		}
+	// Fill the upload zone's choice of playlist to restore into with the ones this user can change: the ones they own
+	fillRestoreTargets(playlists, userId) {
+		const select = document.getElementById('restoreTarget')
+		if (!select) return
+		select.innerHTML = '<option value="">into a new playlist</option>' + playlists.filter(playlist => playlist.id && !playlist.collection &&
+			playlist.owner?.id == userId).map(playlist => '<option value="' + this.escapeHtml(playlist.id) + '">replacing ' +
+			this.escapeHtml(playlist.name) + '</option>').join('')
 	},
 
-	// Analyze playlist data by opening it in a new tab (Simple mode - no audio features)
-	async analyze(playlist, row) {
-		const analyzeBtn = document.getElementById("analyze"+row)
-		if (analyzeBtn) analyzeBtn.textContent = 'Analyzing...' // spinner on button
+	// Analyze several playlists as a library: an Export All zip, in CSV or JSON, any number of CSVs or json exports, or a
+	// mix, from Nexportify or other tools (see libraryCSV and libraryJSON). Files that aren't lists of tracks, like the saved
+	// albums and followed artists an Export All includes, are skipped, and named in the status. Spotify's streaming history
+	// goes to analyzeListeningFromUpload instead, if that's all there is. All of it stays in the browser.
+	async analyzeLibraryFromUpload(files) {
+		const uploadStatus = document.getElementById('uploadStatus');
+		const status = (className, text) => {
+			if (!uploadStatus) return;
+			uploadStatus.className = 'upload-status ' + className;
+			uploadStatus.style.display = 'block';
+			uploadStatus.textContent = text;
+		};
+		
 		try {
-			let csv = await this.csvData(playlist)
-			// Use simple analysis (without audio features)
-			let html = this.generateSimpleAnalysisHTML(playlist, csv)
-			let newWindow = window.open('', '_blank')
-			newWindow.document.write(html)
-			newWindow.document.close()
-		} catch (e) {
-			error.innerHTML += "Couldn't analyze " + playlist.name + ". Encountered <tt>" + e + "</tt><br/>" + e.stack +
-					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
-		} finally { // change back the analyze button's text
-			const analyzeBtnReset = document.getElementById("analyze"+row)
-			if (analyzeBtnReset) analyzeBtnReset.textContent = 'Analyze'
-		}
+			status('processing', 'Reading ' + files.length + (files.length == 1 ? ' file...' : ' files...'));
+			const playlists = [];
+			const skipped = []; // 'file name (why)'
+			let history = false;
+			// An export's file name is its playlist's name, with underscores for spaces (see fileName)
+			const add = (name, read) => {
+				name = name.split('/').pop();
+				try {
+					const text = read();
+					const json = /\.json$/i.test(name);
+					if (json && text.trimStart().startsWith('[')) { // our json exports are objects, and streaming history is a list
+						history = true;
+						skipped.push(name + ' (streaming history)');
+						return;
+					}
+					playlists.push({ name: name.replace(/\.(csv|json)$/i, '').replace(/_/g, ' '), csv: json ? this.libraryJSON(text) : this.libraryCSV(text) });
+				} catch (error) {
+					skipped.push(name + ' (' + error.message + ')');
+				}
+			};
+			for (const file of files) {
+				if (file.name.toLowerCase().endsWith('.zip')) {
+					const zip = new JSZip(await file.arrayBuffer());
+					zip.file(/\.(csv|json)$/i).filter(entry => !entry.name.startsWith('__MACOSX/')) // macOS adds copies of resource forks
+						.forEach(entry => add(entry.name, () => entry.asText()));
+				} else {
+					const content = await file.text();
+					add(file.name, () => content);
+				}
+			}
+			if (!playlists.length && history) { // more likely the zip from Spotify's "Download your data"
+				return this.analyzeListeningFromUpload(files);
+			}
+			if (!playlists.length) {
+				throw new Error('No playlists of tracks found. Upload an Export All zip, or CSV or json exports with track and artist names.' +
+					(skipped.length ? ' Skipped ' + skipped.join(', ') + '.' : ''));
+			}
+			
+			const analysisWindow = window.open('', '_blank');
+			if (!analysisWindow) {
+				throw new Error('Could not open analysis window. Please allow popups for this site.');
+			}
+			analysisWindow.document.write(this.generateLibraryAnalysisHTML(playlists));
+			analysisWindow.document.close();
+			
+			status('success', '✓ Analyzed ' + playlists.length + ' playlists' +
+				(skipped.length ? ', skipping ' + skipped.length + " files that aren't lists of tracks: " + skipped.join(', ') : '') + '.');
+			if (uploadStatus && !skipped.length) setTimeout(() => { uploadStatus.style.display = 'none'; }, 3000); // else leave them to be read
+		} catch (error) {
+			console.error('Error analyzing uploaded library:', error);
+			status('error', '✗ ' + error.message);
+		}
+	},
+
+	// Analyze Spotify streaming history: the json files from "Download your data", or the zip they come in. Everything
+	// is read and counted in the browser.
+	async analyzeListeningFromUpload(files) {
+		const uploadStatus = document.getElementById('uploadStatus');
+		const status = (className, text) => {
+			if (!uploadStatus) return;
+			uploadStatus.className = 'upload-status ' + className;
+			uploadStatus.style.display = 'block';
+			uploadStatus.textContent = text;
+		};
+		
+		try {
+			status('processing', 'Reading streaming history...');
+			const plays = [];
+			let skipped = 0;
+			const add = text => {
+				let parsed;
+				try {
+					parsed = this.parseStreamingHistory(text);
+				} catch (error) {
+					skipped++; // not streaming history
+					return;
+				}
+				for (const play of parsed) plays.push(play); // spreading a year of plays into push overflows the stack
+			};
+			for (const file of files) {
+				if (file.name.toLowerCase().endsWith('.zip')) {
+					const zip = new JSZip(await file.arrayBuffer());
+					zip.file(/\.json$/i).filter(entry => !entry.name.startsWith('__MACOSX/')).forEach(entry => add(entry.asText()));
+				} else {
+					add(await file.text());
+				}
+			}
+			if (!plays.length) {
+				throw new Error('No streaming history found. Upload StreamingHistory*.json or endsong_*.json files from Spotify\'s "Download your data".');
+			}
+			
+			const analysisWindow = window.open('', '_blank');
+			if (!analysisWindow) {
+				throw new Error('Could not open analysis window. Please allow popups for this site.');
+			}
+			analysisWindow.document.write(this.generateListeningAnalysisHTML(plays));
+			analysisWindow.document.close();
+			
+			status('success', '✓ Analyzed ' + plays.length + ' plays' + (skipped ? ', skipping ' + skipped + ' other files' : '') + '.');
+			if (uploadStatus) setTimeout(() => { uploadStatus.style.display = 'none'; }, 3000);
+		} catch (error) {
+			console.error('Error analyzing streaming history:', error);
+			status('error', '✗ ' + error.message);
+		}
+	},
+
+	// Put the tracks of an uploaded csv back on Spotify, in a new playlist named after the file, or in place of everything
+	// in the playlist with id targetId
+	async restoreFromUpload(file, targetId='') {
+		const uploadStatus = document.getElementById('uploadStatus')
+		let status = (className, html) => {
+			if (!uploadStatus) return
+			uploadStatus.className = 'upload-status ' + className
+			uploadStatus.style.display = 'block'
+			uploadStatus.innerHTML = html
+		}
+		try {
+			status('processing', 'Reading CSV file...')
+			const [headers, ...rows] = CSV.parse(await this.parseUploadedCSV(file, ['track uri']))
+			const uriIdx = headers.findIndex(header => header.trim().toLowerCase() == 'track uri')
+			const uris = rows.map(row => row[uriIdx]?.trim()).filter(uri => uri)
+			const name = file.name.replace(/\.csv$/i, '').replace(/_/g, ' ')
+			let result = await this.restorePlaylist(name, uris, targetId, {
+				onProgress: (done, total) => status('processing', 'Restoring... ' + done + ' of ' + total + ' tracks') })
+			status('success', '✓ Restored ' + result.added + ' tracks to <a href="' + this.escapeHtml(result.playlist.external_urls?.spotify) +
+				'" target="_blank">' + this.escapeHtml(result.playlist.name) + '</a>.' + (result.unavailable.length ?
+				' ' + result.unavailable.length + ' are no longer available on Spotify and were left out:<br/><tt>' +
+				result.unavailable.map(uri => this.escapeHtml(uri)).join('<br/>') + '</tt>' : '') + (result.local.length ?
+				' ' + result.local.length + ' are local files, which only the Spotify app can add to a playlist, so were left out:<br/><tt>' +
+				result.local.map(uri => this.escapeHtml(uri)).join('<br/>') + '</tt>' : ''))
+		} catch (e) {
+			console.error('Error restoring uploaded CSV:', e)
+			status('error', '✗ ' + this.escapeHtml(e.message))
+		}
+	},
+
+	// Make a playlist hold exactly the given track and episode URIs, in order. With a targetId, that playlist's contents are
+	// replaced; otherwise a new private playlist with the given name is made. URIs that can't be added are skipped: local
+	// files, which the Web API can't add at all, and tracks or episodes Spotify no longer has or can't play here. Resolves
+	// to {playlist, added, unavailable, local}, the last two listing the URIs skipped for each reason.
+	// onProgress(done, total) is called after each batch, and description goes on a new playlist.
+	// https://developer.spotify.com/documentation/web-api/reference/add-tracks-to-playlist
+	async restorePlaylist(name, uris, targetId='', { signal=null, onProgress=null, description='Restored by Nexporify' } = {}) {
+		// Look everything up first, 50 at a time, to find what's gone. market=from_token makes is_playable meaningful.
+		let available = new Set()
+		for (let type of ['track', 'episode']) {
+			let ids = Array.from(new Set(uris.filter(uri => uri.startsWith('spotify:' + type + ':')).map(uri => uri.split(':')[2])))
+			let chunks = []; while (ids.length) { chunks.push(ids.splice(0, 50)) }
+			let responses = await Promise.all(chunks.map(chunk => utils.apiCall('https://api.spotify.com/v1/' + type + 's?market=from_token&ids=' +
+				chunk.join(','), signal)))
+			responses.forEach(response => response?.[type + 's']?.forEach(item => {
+				if (item && item.is_playable !== false) { available.add(item.uri); if (item.linked_from) { available.add(item.linked_from.uri) } } // relinked tracks still count
+			}))
+		}
+		let local = uris.filter(uri => uri.startsWith('spotify:local:'))
+		let unavailable = uris.filter(uri => !available.has(uri) && !uri.startsWith('spotify:local:'))
+		uris = uris.filter(uri => available.has(uri))
+
+		let playlist
+		if (targetId) {
+			playlist = await utils.apiCall('https://api.spotify.com/v1/playlists/' + targetId, signal)
+		} else {
+			let user = await utils.apiCall('https://api.spotify.com/v1/me', signal)
+			playlist = await utils.apiSend('POST', 'https://api.spotify.com/v1/users/' + user.id + '/playlists',
+				{ name: name, public: false, description: description }, signal)
+		}
+		if (!playlist?.id) { throw new Error("Couldn't " + (targetId ? 'find' : 'create') + ' the playlist to restore into') }
+
+		// Batches go one after another so the order holds. Replacing an existing playlist starts with a PUT of the first
+		// batch, which throws out whatever was there, even if that batch is empty.
+		let href = 'https://api.spotify.com/v1/playlists/' + playlist.id + '/tracks'
+		let added = 0
+		if (targetId) {
+			let first = uris.slice(0, 100)
+			if (!await utils.apiSend('PUT', href, { uris: first }, signal)) { throw new Error("Couldn't replace the tracks of " + playlist.name) }
+			added += first.length
+			onProgress?.(added, uris.length)
+		}
+		while (added < uris.length) {
+			let batch = uris.slice(added, added + 100)
+			if (!await utils.apiSend('POST', href, { uris: batch }, signal)) { throw new Error("Couldn't add tracks to " + playlist.name + ' after ' + added) }
+			added += batch.length
+			onProgress?.(added, uris.length)
+		}
+		return { playlist: playlist, added: added, unavailable: unavailable, local: local }
+	},
+
+	// Remove particular occurrences of tracks from a playlist: items are {uri, position}, with positions as of the playlist's
+	// snapshotId. Batches go from the end of the playlist backwards, so the positions still to do don't shift, and each is
+	// made against the snapshot the one before it left. The reference doesn't promise that positions in the body are honored,
+	// and without them Spotify takes out every copy of a uri, so afterwards the playlist is read back and any copies meant to
+	// stay that went missing are put back where they were. Resolves to the playlist's final snapshot_id.
+	// https://developer.spotify.com/documentation/web-api/reference/remove-tracks-playlist
+	async removePlaylistItems(playlistId, snapshotId, items, signal=null) {
+		let href = 'https://api.spotify.com/v1/playlists/' + playlistId + '/tracks'
+		let before = await this.playlistUris(playlistId, signal)
+		if (items.some(({uri, position}) => before[position] != uri)) {
+			throw new Error('Playlist ' + playlistId + ' has changed since it was checked for duplicates. Check it again first.') }
+		let removing = new Set(items.map(item => item.position))
+		let expected = before.filter((uri, position) => !removing.has(position))
+
+		items = [...items].sort((a, b) => b.position - a.position)
+		for (let start = 0; start < items.length; start += 100) { // 100 at a time is the most allowed
+			let tracks = {}
+			items.slice(start, start + 100).forEach(({uri, position}) => {
+				tracks[uri] = tracks[uri] || { uri: uri, positions: [] }
+				tracks[uri].positions.push(position)
+			})
+			let response = await utils.apiSend('DELETE', href, { tracks: Object.values(tracks), snapshot_id: snapshotId }, signal)
+			if (!response?.snapshot_id) { throw new Error("Couldn't remove tracks from playlist " + playlistId) }
+			snapshotId = response.snapshot_id
+		}
+
+		// Line what's there now up against what should be. Anything missing gets added back, lowest position first, so each
+		// insert lands where it belongs given the ones before it. Anything else out of place means something went wrong.
+		let after = await this.playlistUris(playlistId, signal)
+		let missing = [], k = 0
+		expected.forEach((uri, position) => { if (after[k] == uri) { k++ } else { missing.push(position) } })
+		if (k < after.length) { throw new Error('Playlist ' + playlistId + " doesn't look as expected after removing tracks") }
+		for (let i = 0; i < missing.length;) {
+			let run = [missing[i]] // consecutive positions go in together
+			while (++i < missing.length && missing[i] == run[run.length - 1] + 1 && run.length < 100) { run.push(missing[i]) }
+			let response = await utils.apiSend('POST', href, { uris: run.map(position => expected[position]), position: run[0] }, signal)
+			if (!response?.snapshot_id) { throw new Error("Couldn't put tracks back in playlist " + playlistId) }
+			snapshotId = response.snapshot_id
+		}
+		return snapshotId
+	},
+
+	// The uris of all of a playlist's items, in order
+	async playlistUris(playlistId, signal=null) {
+		let uris = []
+		let href = 'https://api.spotify.com/v1/playlists/' + playlistId + '/tracks?fields=next,items(track(uri))&limit=100'
+		while (href) {
+			let page = await utils.apiCall(href, signal)
+			if (!page?.items) { throw new Error("Couldn't read the tracks of playlist " + playlistId) }
+			page.items.forEach(item => uris.push(item.track?.uri || null))
+			href = page.next
+		}
+		return uris
+	},
+
+	// Find the duplicate tracks within one playlist (the one with the given key, see PlaylistTable.playlistKey), or within
+	// and across all the given ones if there's no key, and open a report in a new tab from which chosen duplicates can be
+	// removed. Checking them all shows its progress in the Export All panel, and like Export All, carries on past playlists
+	// it couldn't fetch.
+	async duplicates(playlists, key=null) {
+		const buttonId = key == null ? "findDuplicates" : "duplicates" + key
+		const progressId = key == null ? "exportAllProgress" : "progress" + key
+		const button = document.getElementById(buttonId)
+		const label = button?.textContent
+		if (button) button.textContent = 'Checking...'
+		playlists = playlists.filter(playlist => this.listsTracks(playlist)) // saved albums and the like have no tracks to compare
+		if (key == null) { error.innerHTML = ""; this.initExportAllProgress(playlists) }
+		try {
+			let me = await utils.apiCall('https://api.spotify.com/v1/me')
+			let checked = [], entries = []
+			for (let [j, playlist] of playlists.entries()) {
+				try {
+					// Only the owner (or anyone, if it's collaborative) can remove tracks. Their positions have to be read against a
+					// snapshot no older than the tracks, so get a fresh one first.
+					let writable = !!playlist.id && !playlist.collection && (playlist.owner?.id == me.id || !!playlist.collaborative)
+					let snapshot = writable ? (await utils.apiCall('https://api.spotify.com/v1/playlists/' + playlist.id + '?fields=snapshot_id'))?.snapshot_id : null
+					// Matching only needs what the playlist's items say about their tracks, so skip the genres, labels and audio features
+					let records = await this.trackData(playlist, { enrich: false, onProgress: event => {
+						if (key == null) { this.setExportAllStatus(j, 'active', this.progressText(event)) }
+						this.showProgress(progressId, (j + (event.total ? event.completed / event.total : 1)) / playlists.length,
+							key == null ? 'Playlist ' + (j+1) + ' of ' + playlists.length + ': ' + playlist.name : this.progressText(event))
+					} })
+					entries.push(...this.duplicateEntries(records, checked.length))
+					checked.push({ id: playlist.id ?? null, name: playlist.name, snapshot_id: snapshot ?? null, writable: writable && !!snapshot })
+					if (key == null) { this.setExportAllStatus(j, 'done', 'Done') }
+				} catch (e) {
+					if (key != null) { throw e }
+					this.setExportAllStatus(j, 'failed', 'Failed')
+					error.innerHTML += "Couldn't check " + playlist.name + " for duplicates. Encountered <tt>" + e + "</tt><br>" + e.stack +
+						'<br>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>. The others are still being checked.<br/>'
+				}
+			}
+			let newWindow = window.open('', '_blank')
+			if (!newWindow) { throw new Error('Could not open duplicates window. Please allow popups for this site.') }
+			newWindow.document.write(this.generateDuplicatesHTML(key == null ? 'All Playlists' : playlists[0].name, checked, this.duplicateGroups(entries)))
+			newWindow.document.close()
+			if (key == null) { this.showProgress(progressId, 1, 'Checked ' + checked.length + ' of ' + playlists.length + ' playlists for duplicates') }
+		} catch (e) {
+			error.innerHTML += "Couldn't check for duplicates. Encountered <tt>" + e + "</tt><br/>" + e.stack +
+					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
+		} finally {
+			if (button) button.textContent = label
+			if (key != null) { this.hideProgress(progressId) }
+		}
+	},
+
+	// One entry per record of the j-th playlist's trackData, holding what duplicate matching needs. Records are in playlist
+	// order, so a record's index is its position. Artists are joined with semicolons, the way csv exports write them.
+	duplicateEntries(records, j) {
+		return records.map(({track}, position) => ({ playlist: j, position: position, uri: track?.uri, name: track?.name,
+			artists: (track?.artists || []).map(artist => artist?.name?.replace(/;/g, '')).join(';'), duration: track?.duration_ms || 0,
+			isrc: track?.external_ids?.isrc || '' })).filter(entry => entry.uri)
+	},
+
+	// Lower case, without accents, punctuation, or asides like "(Remastered 2011)" and " - Single Version", so different
+	// releases of a song compare equal
+	normalizeTitle(text) {
+		return (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s[-\u2013]\s.*$/, '')
+			.replace(/[([].*?[)\]]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+	},
+
+	// Group entries that are the same song: the same URI, the same ISRC (the same recording, released more than once), or
+	// the same normalized name and lead artist with durations within toleranceMs of each other. Matches chain, so a group
+	// can hold any mix. Each group gets the loosest reason that holds for all of it: 'uri', 'isrc', or 'similar'.
+	duplicateGroups(entries, toleranceMs=3000) {
+		let parent = entries.map((entry, i) => i) // union-find https://en.wikipedia.org/wiki/Disjoint-set_data_structure
+		let find = i => parent[i] == i ? i : (parent[i] = find(parent[i]))
+		let link = key => {
+			let first = {}
+			entries.forEach((entry, i) => {
+				let k = key(entry)
+				if (!k) return
+				if (k in first) { parent[find(i)] = find(first[k]) } else { first[k] = i }
+			})
+		}
+		link(entry => entry.uri)
+		link(entry => entry.isrc)
+		let buckets = {}
+		entries.forEach((entry, i) => {
+			let title = this.normalizeTitle(entry.name)
+			if (title) { let k = title + '|' + this.normalizeTitle(entry.artists.split(';')[0]); (buckets[k] = buckets[k] || []).push(i) }
+		})
+		Object.values(buckets).forEach(ids => {
+			ids.sort((a, b) => entries[a].duration - entries[b].duration)
+			ids.forEach((id, n) => { if (n > 0 && entries[id].duration - entries[ids[n-1]].duration <= toleranceMs) { parent[find(id)] = find(ids[n-1]) } })
+		})
+
+		let groups = {}
+		entries.forEach((entry, i) => { (groups[find(i)] = groups[find(i)] || []).push(entry) })
+		return Object.values(groups).filter(group => group.length > 1).map(group => ({
+			reason: group.every(entry => entry.uri == group[0].uri) ? 'uri' : group.every(entry => entry.isrc && entry.isrc == group[0].isrc) ? 'isrc' : 'similar',
+			entries: group.sort((a, b) => a.playlist - b.playlist || a.position - b.position)
+		}))
+	},
+
+	// AbortControllers for the exports currently running, keyed by the id of the button that started them
+	controllers: {},
+
+	// Mark an export as running: swap its button text and reveal its Cancel button. Returns the signal to thread
+	// through every request the export makes.
+	startCancellable(buttonId, cancelId) {
+		let controller = new AbortController()
+		this.controllers[buttonId] = controller
+		const button = document.getElementById(buttonId)
+		if (button) button.textContent = 'Exporting...' // spinner on button
+		const cancelBtn = document.getElementById(cancelId)
+		if (cancelBtn) cancelBtn.style.display = ''
+		return controller.signal
+	},
+
+	// Undo startCancellable once the export is done, failed, or was cancelled
+	finishCancellable(buttonId, cancelId, label) {
+		delete this.controllers[buttonId]
+		const button = document.getElementById(buttonId)
+		if (button) button.textContent = label
+		const cancelBtn = document.getElementById(cancelId)
+		if (cancelBtn) cancelBtn.style.display = 'none'
+	},
+
+	// Abort every outstanding request belonging to the export started by the given button
+	cancel(buttonId) {
+		this.controllers[buttonId]?.abort()
+	},
+
+	// The fetch phases of csvData, in the order they run, and how to describe each to the user
+	phases: { tracks: 'Fetching tracks', artists: 'Fetching genres', albums: 'Fetching record labels', features: 'Fetching audio features' },
+
+	// How far through csvData a progress event is, from 0 to 1, counting each phase as an equal share. Library collections
+	// are fetched in a single 'items' phase instead.
+	progressFraction(event) {
+		if (event.phase == 'items') { return event.total ? event.completed / event.total : 1 }
+		let names = Object.keys(this.phases)
+		return (names.indexOf(event.phase) + (event.total ? event.completed / event.total : 1)) / names.length
+	},
+
+	// Describe a progress event in a few words, e.g. "Fetching genres (3/7 requests, 650 tracks)"
+	progressText(event) {
+		if (event.phase == 'items') {
+			let noun = this.itemNoun(event.playlist)
+			return 'Fetching ' + noun + ' (' + event.completed + '/' + event.total + ' requests, ' + event.tracks + ' ' + noun + ')'
+		}
+		return this.phases[event.phase] + ' (' + event.completed + '/' + event.total + ' requests, ' + event.tracks + ' tracks)'
+	},
+
+	// Fill in a progress bar element (one with .export-progress-fill and .export-progress-label children), showing it if
+	// it was hidden. fraction is from 0 to 1.
+	showProgress(id, fraction, text) {
+		const el = document.getElementById(id)
+		if (!el) return
+		el.style.display = ''
+		el.querySelector('.export-progress-fill').style.width = (100*fraction).toFixed(1) + '%'
+		el.querySelector('.export-progress-label').textContent = text
+	},
+
+	hideProgress(id) {
+		const el = document.getElementById(id)
+		if (el) el.style.display = 'none'
+	},
+
+	// Take the access token string and playlist object, generate a csv from it, and when that data is resolved and
+	// returned, save to a file.
+	async export(playlist, key, format=this.exportFormat()) {
+		const signal = this.startCancellable("export"+key, "cancelExport"+key)
+		try {
+			let file = await this.exportFile(playlist, format, { signal: signal,
+				onProgress: event => this.showProgress("progress"+key, this.progressFraction(event), this.progressText(event)) })
+			saveAs(new Blob([(file.bom ? "\uFEFF" : "") + file.contents], { type: file.type }), file.name)
+		} catch (e) {
+			if (e.name == 'AbortError') { return } // cancelled by the user, so nothing to save and nothing to report
+			error.innerHTML += "Couldn't export " + playlist.name + ". Encountered <tt>" + e + "</tt><br/>" + e.stack +
+					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
+		} finally { // change back the export button's text
+			this.finishCancellable("export"+key, "cancelExport"+key, 'Export')
+			this.hideProgress("progress"+key)
+		}
+	},
+
+	// Analyze playlist data by opening it in a new tab (Simple mode - no audio features)
+	async analyze(playlist, key) {
+		const analyzeBtn = document.getElementById("analyze"+key)
+		if (analyzeBtn) analyzeBtn.textContent = 'Analyzing...' // spinner on button
+		try {
+			let options = { onProgress: event => this.showProgress("progress"+key, this.progressFraction(event), this.progressText(event)) }
+			// Use simple analysis (without audio features) for playlists. Listening history gets the full dashboard, so what you
+			// play can be compared with what you save, and library collections that aren't lists of songs get their own page.
+			let html = !this.listsTracks(playlist) ? this.generateCollectionAnalysisHTML(playlist, await this.collectionData(playlist, options)) :
+				playlist.collection ? this.generateAnalysisHTML(playlist, await this.csvData(playlist, options)) :
+				this.generateSimpleAnalysisHTML(playlist, await this.csvData(playlist, options))
+			let newWindow = window.open('', '_blank')
+			newWindow.document.write(html)
+			newWindow.document.close()
+		} catch (e) {
+			error.innerHTML += "Couldn't analyze " + playlist.name + ". Encountered <tt>" + e + "</tt><br/>" + e.stack +
+					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
+		} finally { // change back the analyze button's text
+			const analyzeBtnReset = document.getElementById("analyze"+key)
+			if (analyzeBtnReset) analyzeBtnReset.textContent = 'Analyze'
+			this.hideProgress("progress"+key)
+		}
+	},
+
+	// Open the playlist's History page in a new tab. Only exports made in this browser are known to it.
+	async history(playlist) {
+		try {
+			let newWindow = window.open('', '_blank')
+			newWindow.document.write(this.generateHistoryHTML(playlist, await snapshots.list(playlist.id)))
+			newWindow.document.close()
+		} catch (e) {
+			error.innerHTML += "Couldn't show the history of " + playlist.name + ". Encountered <tt>" + e + "</tt><br/>" + e.stack +
+					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
+		}
+	},
+
+	// Lay out the Export All progress panel: an overall bar plus one status line per playlist, all pending to start with
+	initExportAllProgress(playlists) {
+		const panel = document.getElementById("exportAllProgress")
+		if (!panel) return
+		panel.innerHTML = '<div class="export-progress-bar"><div class="export-progress-fill"></div></div>' +
+			'<div class="export-progress-label"></div><ol class="export-progress-list">' +
+			playlists.map((playlist, j) => '<li id="exportAllItem' + j + '" class="pending"><span>' + this.escapeHtml(playlist.name) +
+				'</span><span class="export-progress-status">Waiting</span></li>').join('') + '</ol>'
+		panel.style.display = ''
+	},
+
+	// Update one playlist's line in the Export All panel. state is one of pending, active, done, failed.
+	setExportAllStatus(j, state, text) {
+		const item = document.getElementById("exportAllItem" + j)
+		if (!item) return
+		item.className = state
+		item.querySelector('.export-progress-status').textContent = text
 	},
 
-	// Handles exporting all playlist data as a zip file
-	async exportAll(playlists) {
-		const exportAllBtn = document.getElementById("exportAll")
-		if (exportAllBtn) exportAllBtn.textContent = 'Exporting...' // spinner on button
+	// Handles exporting all playlist data as a zip file. If cancelled, the zip is thrown away rather than saved half-full.
+	// If incremental, playlists whose snapshot_id matches their last export's reuse that file instead of being fetched
+	// again, so the zip is still complete. Liked Songs and the library collections have no snapshot_id, so they always are.
+	// Each finished playlist is checkpointed, so an interrupted Export All can be resumed by passing what the checkpoint
+	// held as finished (see resumeExportAll), whose files go in the zip as they are.
+	async exportAll(playlists, format=this.exportFormat(), incremental=false, finished=null) {
+		const signal = this.startCancellable("exportAll", "cancelExportAll")
 		error.innerHTML = ""
 		let zip = new JSZip()
+		let unchanged = 0
+		this.initExportAllProgress(playlists)
+		if (finished) { // first, so files still to come can't take their names
+			Object.entries(finished).forEach(([j, file]) => { zip.file(file.name, file.contents); this.setExportAllStatus(j, 'done', 'Done before') })
+		} else {
+			await checkpoint.start(playlists, format, incremental)
+		}
+
+		try {
+			for (let [j, playlist] of playlists.entries()) {
+				if (finished?.[j]) { continue }
+				try {
+					let file = incremental ? await savedExports.lookup(playlist, this.formatFor(playlist, format)) : null
+					let reused = !!file
+					if (reused) { unchanged++ } else {
+						file = await this.exportFile(playlist, format, { signal: signal, onProgress: event => {
+							this.setExportAllStatus(j, 'active', this.progressText(event))
+							this.showProgress("exportAllProgress", (j + this.progressFraction(event)) / playlists.length,
+								'Playlist ' + (j+1) + ' of ' + playlists.length + ': ' + playlist.name)
+						} })
+					}
+					let [fileName, extension] = [this.fileName(playlist), "." + file.extension] // not always format's; see formatFor
+					while (zip.file(fileName + extension)) { fileName += "_" } // Add underscores if the file already exists so playlists with duplicate names don't overwrite each other.
+					zip.file(fileName + extension, file.contents)
+					checkpoint.save(j, fileName + extension, file.contents)
+					this.setExportAllStatus(j, 'done', reused ? 'Unchanged' : 'Done')
+				} catch (e) { // Surface all errors
+					if (e.name == 'AbortError') { this.setExportAllStatus(j, 'failed', 'Cancelled'); throw e }
+					this.setExportAllStatus(j, 'failed', 'Failed')
+					error.innerHTML += "Couldn't export " + playlist.name + " with id " + playlist.id + ". Encountered <tt>" + e +
+						"</tt><br>" + e.stack + '<br>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>. ' +
+						"The others are still being zipped.<br/>"
+				}
+			}
+			this.showProgress("exportAllProgress", 1, 'All ' + playlists.length + ' playlists exported' +
+				(incremental ? ' (' + unchanged + ' unchanged since last time)' : ''))
+			saveAs(zip.generate({ type: "blob" }), "spotify_playlists.zip")
+			checkpoint.clear().catch(e => console.warn('Clearing Export All checkpoint failed:', e))
+		} catch (e) {
+			if (e.name != 'AbortError') { throw e }
+			this.showProgress("exportAllProgress", 0, 'Export cancelled')
+			checkpoint.clear().catch(e => console.warn('Clearing Export All checkpoint failed:', e))
+		} finally {
+			this.finishCancellable("exportAll", "cancelExportAll", 'Export All') // change back button text
+		}
+	},
 
-		for (let playlist of playlists) {
+	// Fetch several playlists' tracks into one csv with the given columns (plus any their collections always add, so every
+	// playlist's rows line up), led by a "Playlist" column saying where each row came from. Library collections that aren't
+	// lists of tracks are left out. Shows its progress in the Export All panel, and like Export All, carries on past
+	// playlists it can't fetch.
+	async combinedCSV(playlists, columns) {
+		playlists = playlists.filter(playlist => this.listsTracks(playlist))
+		columns = [...new Set([...columns, ...playlists.flatMap(playlist => this.collections[playlist.collection]?.extraColumns || [])])]
+		error.innerHTML = ""
+		this.initExportAllProgress(playlists)
+		let quoted = [true, ...columns.map(key => this.columns[key].quoted)]
+		let csv = CSV.stringify([['Playlist', ...columns.map(key => this.columns[key].header)]])
+		for (let [j, playlist] of playlists.entries()) {
 			try {
-				let csv = await this.csvData(playlist)
-				let fileName = this.fileName(playlist)
-				while (zip.file(fileName + ".csv")) { fileName += "_" } // Add underscores if the file already exists so playlists with duplicate names don't overwrite each other.
-				zip.file(fileName + ".csv", csv)
-			} catch (e) { // Surface all errors
-				error.innerHTML += "Couldn't export " + playlist.name + " with id " + playlist.id + ". Encountered <tt>" + e +
+				let data = await this.trackData(playlist, { onProgress: event => {
+					this.setExportAllStatus(j, 'active', this.progressText(event))
+					this.showProgress("exportAllProgress", (j + this.progressFraction(event)) / playlists.length,
+						'Playlist ' + (j+1) + ' of ' + playlists.length + ': ' + playlist.name)
+				} })
+				let rows = CSV.parse(this.formats.csv.render(playlist, data, columns)).slice(1) // minus its header
+				csv += CSV.stringify(rows.map(row => [playlist.name, ...row]), quoted)
+				this.setExportAllStatus(j, 'done', 'Done')
+			} catch (e) {
+				this.setExportAllStatus(j, 'failed', 'Failed')
+				error.innerHTML += "Couldn't fetch " + playlist.name + " with id " + playlist.id + ". Encountered <tt>" + e +
 					"</tt><br>" + e.stack + '<br>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>. ' +
-					"The others are still being zipped.<br/>"
+					"The others are still being combined.<br/>"
 			}
 		}
-		const exportAllBtnReset = document.getElementById("exportAll")
-		if (exportAllBtnReset) exportAllBtnReset.textContent = 'Export All' // change back button text
-		saveAs(zip.generate({ type: "blob" }), "spotify_playlists.zip")
+		this.showProgress("exportAllProgress", 1, 'Combined ' + playlists.length + ' playlists')
+		return csv
+	},
+
+	// Save the given playlists as a single csv, with the columns picked for exports
+	async combine(playlists) {
+		const button = document.getElementById("batchCombine")
+		if (button) button.textContent = 'Combining...'
+		try {
+			let csv = await this.combinedCSV(playlists, this.selectedColumns())
+			saveAs(new Blob(["\uFEFF" + csv], { type: this.formats.csv.type }), "combined_playlists.csv")
+		} finally {
+			if (button) button.textContent = 'Combine'
+		}
+	},
+
+	// Analyze the given playlists together, as if they were one, on the simple analysis page
+	async analyzeMany(playlists) {
+		const button = document.getElementById("batchAnalyze")
+		if (button) button.textContent = 'Analyzing...'
+		try {
+			let csv = await this.combinedCSV(playlists, [...this.defaultColumns, ...this.analysisColumns])
+			// Opened only once the data is in, long after the click, so a popup blocker may well stop it
+			let newWindow = window.open('', '_blank')
+			if (!newWindow) { throw new Error('Could not open analysis window. Please allow popups for this site.') }
+			newWindow.document.write(this.generateSimpleAnalysisHTML({ name: playlists.length + ' Playlists', images: [] }, csv))
+			newWindow.document.close()
+		} catch (e) {
+			error.innerHTML += "Couldn't analyze the selected playlists. Encountered <tt>" + e + "</tt><br/>" + e.stack +
+					'<br/>Please <a href="https://github.com/pavelkomarov/exportify/issues">let us know</a>.'
+		} finally {
+			if (button) button.textContent = 'Analyze'
+		}
+	},
+
+	// Pick up the Export All that was interrupted, with the playlists, format and mode it started with
+	async resumeExportAll() {
+		let saved = await checkpoint.load()
+		if (saved) { return this.exportAll(saved.playlists, saved.format, saved.incremental, saved.files) }
 	},
 
 	// take the playlist object and return an acceptable filename
@@ -574,188 +2080,594 @@ let PlaylistExporter = {
 	},
 
 	// This is where the magic happens. The access token gives us permission to query this info from Spotify, and the
-	// playlist object gives us all the information we need to start asking for songs.
-	async csvData(playlist) {
-		let increment = playlist.name == "Liked Songs" ? 50 : 100 // Can max call for only 50 tracks at a time vs 100 for playlists
+	// playlist object gives us all the information we need to start asking for songs. Resolves to one object per playlist
+	// item, {item, kind, track, genres, album, features}: the playlist item itself (which knows who added the track and
+	// when), what kind of item it is (see itemKind), its track, the deduplicated genres of all the track's artists, extra
+	// album details fetched separately ({label, upc, copyrights}), and the track's audio features (null if Spotify has
+	// none). Podcast episodes and local files only have what the playlist itself says about them. Options:
+	// - signal: an AbortSignal that cancels every request this makes, in which case the returned Promise rejects with an AbortError
+	// - onProgress: called with {playlist, phase, completed, total, tracks} whenever a phase starts or one of its requests
+	//   finishes. phase is a key of PlaylistExporter.phases, completed and total count that phase's requests, and tracks
+	//   is how many playlist items have come back so far.
+	// - enrich: false to skip fetching genres, album details and audio features (only the 'tracks' phase runs, and the
+	//   records' genres, album and features come back empty), for when the playlist's own item objects are enough
+	async trackData(playlist, { signal=null, onProgress=null, enrich=true } = {}) {
+		let source = this.collections[playlist.collection] // listening history lists its tracks its own way
+		let increment = playlist.name == "Liked Songs" || source ? 50 : 100 // Can max call for only 50 tracks at a time vs 100 for playlists
+		// Without this, podcast episodes in playlists come back dressed up as tracks, with no show or publisher
+		// https://developer.spotify.com/documentation/web-api/reference/get-playlists-tracks
+		let types = playlist.name == "Liked Songs" || source ? '' : '&additional_types=track,episode'
+		let href = playlist.tracks.href + (playlist.tracks.href.includes('?') ? '&' : '?')
+
+		// The phases below run one after another, so a single counter suffices. Wrap each phase's requests to tick it.
+		let progress = { playlist: playlist, phase: null, completed: 0, total: 0, tracks: 0 }
+		let report = () => onProgress?.({ ...progress })
+		let tracked = (phase, promises) => {
+			Object.assign(progress, { phase: phase, completed: 0, total: promises.length }); report()
+			return promises.map(p => p.then(response => {
+				progress.completed++
+				if (phase == 'tracks') { progress.tracks += response?.items?.length || 0 }
+				report()
+				return response
+			}))
+		}
 
 		// Make asynchronous API calls for 100 songs at a time, and put the results (all Promises) in a list.
-		let requests = []
-		for (let offset = 0; offset < playlist.tracks.total; offset += increment) {
-			requests.push(utils.apiCall(playlist.tracks.href + '?offset=' + offset + '&limit=' + increment, (offset/increment)*100)) // I'm spacing requests by 100ms regardless of increment.
+		let requests = source?.single ? [utils.apiCall(href + 'limit=50', signal)] : []
+		for (let offset = 0; offset < playlist.tracks.total && !source?.single; offset += increment) {
+			requests.push(utils.apiCall(href + 'offset=' + offset + '&limit=' + increment + types, signal)) // the scheduler in utils paces these
 		}
+		requests = tracked('tracks', requests)
 		// "returns a single Promise that resolves when all of the promises passed as an iterable have resolved"
 		// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all
 		let artist_ids = new Set()
 		let album_ids = new Set()
-		let data_promise = Promise.all(requests).then(responses => { // Gather all the data from the responses in a table.
-			return responses.map(response => { // apply to all responses
-				return response.items.map(song => { // apply to all songs in each response
-					// Safety check! If there are artists/album listed and they have non-null identifier, add them to the sets
-					song.track?.artists?.forEach(a => { if (a && a.id) { artist_ids.add(a.id) } })
-					if (song.track?.album && song.track.album.id) { album_ids.add(song.track.album.id) }
-					// Commas in various fields can throw off csv, so surround with quotes. Quotes are escaped by doubling "".
-					// For robustness to missing data, null-checking question marks abound. Artists are separated with
-					// semicolons so commas can be preserved in their names without confusion.
-					return ['"'+song.track?.artists?.map(artist => { return artist?.id }).join(',')+'"', song.track?.album?.id, song.track?.uri,
-						'"'+song.track?.name?.replace(/"/g,'""')+'"', '"'+song.track?.album?.name?.replace(/"/g,'""')+'"',
-						'"'+song.track?.artists?.map(artist => { return artist?.name?.replace(/"/g,'""').replace(/;/g,'') }).join(';')+'"',
-						song.track?.album?.release_date, song.track?.duration_ms, song.track?.popularity, song.track?.explicit, song.added_by?.id, song.added_at]
-				})
+		let data_promise = Promise.all(requests).then(responses => { // Gather all the playlist items from the responses in one list.
+			let items = responses.flatMap(response => source ? source.items(response) : response.items)
+			items.forEach(song => { // Safety check! If there are artists/album listed and they have non-null identifier, add them to the sets
+				if (PlaylistExporter.itemKind(song.track) != 'track') { return } // episodes and local files have nothing more to look up
+				song.track?.artists?.forEach(a => { if (a && a.id) { artist_ids.add(a.id) } })
+				if (song.track?.album && song.track.album.id) { album_ids.add(song.track.album.id) }
 			})
+			return items
 		})
 
 		// Make queries on all the artists, because this json is where genre information lives. Unfortunately this
-		// means a second wave of traffic, 50 artists at a time the maximum allowed.
-		let genre_promise = data_promise.then(() => {
-			artist_ids = Array.from(artist_ids) // Make groups of 50 artists, to all be queried together
+		// means a second wave of traffic, 50 artists at a time the maximum allowed. Artists we've seen recently come from
+		// the cache instead.
+		let genre_promise = !enrich ? Promise.resolve({}) : data_promise.then(async () => {
+			let cached = await cache.lookup('artists', Array.from(artist_ids))
+			artist_ids = Array.from(artist_ids).filter(id => !(id in cached)) // Make groups of 50 artists, to all be queried together
 			let artist_chunks = []; while (artist_ids.length) { artist_chunks.push(artist_ids.splice(0, 50)) }
-			let artists_promises = artist_chunks.map((chunk_ids, i) => utils.apiCall(
-				'https://api.spotify.com/v1/artists?ids='+chunk_ids.join(','), 100*i)) // volley of traffic, requests staggered by 100ms
-			return Promise.all(artists_promises).then(responses => {
-				let artist_genres = {} // build a dictionary, rather than a table
+			let artists_promises = artist_chunks.map(chunk_ids => utils.apiCall(
+				'https://api.spotify.com/v1/artists?ids='+chunk_ids.join(','), signal)) // volley of traffic, paced by the scheduler
+			return Promise.all(tracked('artists', artists_promises)).then(responses => {
+				let fetched = {}
 				responses.forEach(response => response.artists.forEach(
-					artist => { if (artist) {artist_genres[artist.id] = artist.genres.join(',')} } )) // these are the artists who had ids before, but it's still possible they aren't in the genre database
-				return artist_genres
+					artist => { if (artist) {fetched[artist.id] = artist.genres} } )) // these are the artists who had ids before, but it's still possible they aren't in the genre database
+				cache.save('artists', fetched)
+				return {...cached, ...fetched} // a dictionary of artist id -> genres
 			})
 		})
 
 		// Fetch album details, another wave of traffic, 20 albums at a time max. Happens after genre_promise has finished, to build in delay.
-		let album_promise = Promise.all([data_promise, genre_promise]).then(() => {
-			album_ids = Array.from(album_ids) // chunk set of ids into 20s
+		let album_promise = !enrich ? Promise.resolve({}) : Promise.all([data_promise, genre_promise]).then(async () => {
+			let cached = await cache.lookup('albums', Array.from(album_ids))
+			Object.keys(cached).forEach(id => { if (!('upc' in cached[id])) { delete cached[id] } }) // cached before we kept UPCs, so refetch
+			album_ids = Array.from(album_ids).filter(id => !(id in cached)) // chunk set of ids into 20s
 			let album_chunks = []; while (album_ids.length) { album_chunks.push(album_ids.splice(0, 20)) }
-			let album_promises = album_chunks.map((chunk_ids, i) => utils.apiCall(
-				'https://api.spotify.com/v1/albums?ids=' + chunk_ids.join(','), 120*i))
-			return Promise.all(album_promises).then(responses => {
-				let record_labels = {} // analogous to genres
+			let album_promises = album_chunks.map(chunk_ids => utils.apiCall(
+				'https://api.spotify.com/v1/albums?ids=' + chunk_ids.join(','), signal))
+			return Promise.all(tracked('albums', album_promises)).then(responses => {
+				let fetched = {} // only keep the fields we use; album objects also list every track on the album
 				responses.forEach(response => response.albums.forEach(
-					album => { if (album) { record_labels[album.id] = album.label } } ))
-				return record_labels
+					album => { if (album) { fetched[album.id] = { label: album.label, upc: album.external_ids?.upc ?? null,
+						copyrights: album.copyrights?.map(c => ({ type: c.type, text: c.text })) || [] } } } ))
+				cache.save('albums', fetched)
+				return {...cached, ...fetched} // analogous to genres
 			})
 		})
 
-		// Make queries for song audio features, 100 songs at a time.
-		let features_promise = Promise.all([data_promise, genre_promise, album_promise]).then(values => {
-			let data = values[0]
-			console.log('Starting audio features fetch for', data.flat().length, 'tracks');
-			let songs_promises = data.map((chunk, i) => { // remember data is an array of arrays, each subarray 100 tracks
-				// Extract track IDs from the URI (format: spotify:track:ID)
-				let ids = chunk.map(song => {
-					if (!song || !song[2]) {
-						console.warn('Missing track URI in song data:', song);
-						return null;
-					}
-					let uri = song[2];
-					// Handle both quoted and unquoted URIs
-					let cleanUri = uri.replace(/^["']|["']$/g, '');
-					let trackId = cleanUri.split(':')[2];
-					if (!trackId) {
-						console.warn('Could not extract track ID from URI:', cleanUri);
-					}
-					return trackId;
-				}).filter(id => id).join(',');
-				
-				if (!ids) {
-					console.warn('No track IDs found for audio features request in chunk', i);
-					return Promise.resolve({ audio_features: chunk.map(() => null) });
-				}
-				
-				console.log(`Fetching audio features for chunk ${i}, ${ids.split(',').length} tracks`);
-				let apiUrl = 'https://api.spotify.com/v1/audio-features?ids=' + ids;
-				
-				return utils.apiCall(apiUrl, 100*i).then(response => {
-					console.log(`Audio features response for chunk ${i}:`, response);
+		// Make queries for song audio features, 100 songs at a time. Results are keyed by track id, so tracks that come
+		// back without features (or without an id at all) can't shift anyone else's features out of line.
+		let features_promise = !enrich ? Promise.resolve({}) : Promise.all([data_promise, genre_promise, album_promise]).then(async values => {
+			let track_ids = new Set()
+			values[0].forEach(song => { if (song.track?.id && PlaylistExporter.itemKind(song.track) == 'track') { track_ids.add(song.track.id) } }) // episode ids are no good here
+			let cached = await cache.lookup('features', Array.from(track_ids))
+			track_ids = Array.from(track_ids).filter(id => !(id in cached))
+			let id_chunks = []; while (track_ids.length) { id_chunks.push(track_ids.splice(0, 100)) }
+			let songs_promises = id_chunks.map((chunk_ids, i) =>
+				utils.apiCall('https://api.spotify.com/v1/audio-features?ids=' + chunk_ids.join(','), signal).then(response => {
 					if (!response || !response.audio_features) {
 						console.error('Invalid response structure for chunk', i, ':', response);
-						return { audio_features: chunk.map(() => null) };
+						return { audio_features: [] };
 					}
 					return response;
 				}).catch(error => {
+					if (error.name == 'AbortError') { throw error } // cancellation isn't a failure to paper over
 					console.error('Error fetching audio features for chunk', i, ':', error);
-					// Return null features array if API call fails
-					return { audio_features: chunk.map(() => null) };
-				});
-			})
-			return Promise.all(songs_promises).then(responses => {
-				console.log('All audio features responses received:', responses);
-				return responses.map((response, chunkIndex) => { // for each response
-					if (!response || !response.audio_features) {
-						console.warn('No audio_features in response for chunk', chunkIndex, 'Response:', response);
-						// Return empty arrays for each track in this chunk
-						return data[chunkIndex]?.map(() => [null, null, null, null, null, null, null, null, null, null, null, null]) || [];
-					}
-					return response.audio_features.map((feats, featIndex) => {
-						if (!feats) {
-							console.warn(`Track ${featIndex} in chunk ${chunkIndex} has no audio features (null from Spotify)`);
-							// Track has no audio features (null response from Spotify)
-							return [null, null, null, null, null, null, null, null, null, null, null, null];
-						}
-						let features = [
-							feats?.danceability ?? null, 
-							feats?.energy ?? null, 
-							feats?.key ?? null, 
-							feats?.loudness ?? null, 
-							feats?.mode ?? null,
-							feats?.speechiness ?? null, 
-							feats?.acousticness ?? null, 
-							feats?.instrumentalness ?? null, 
-							feats?.liveness ?? null, 
-							feats?.valence ?? null,
-							feats?.tempo ?? null, 
-							feats?.time_signature ?? null
-						];
-						if (featIndex === 0 && chunkIndex === 0) {
-							console.log('Sample audio features extracted:', features, 'from:', feats);
-						}
-						return features;
-					})
-				})
+					return { audio_features: [] }; // Carry on without features for this chunk if the API call fails
+				}))
+			return Promise.all(tracked('features', songs_promises)).then(responses => {
+				let fetched = {}
+				responses.forEach((response, i) => response.audio_features.forEach((feats, j) => {
+					if (feats) { fetched[feats.id] = feats }
+					else if (response.audio_features.length == id_chunks[i].length) { fetched[id_chunks[i][j]] = null } // Spotify has no features for this track, which is worth remembering too
+				}))
+				cache.save('features', fetched)
+				return {...cached, ...fetched}
 			})
 		})
 
-		// join the tables, label the columns, and put all data in a single csv string
+		// join the tables
 		return Promise.all([data_promise, genre_promise, album_promise, features_promise]).then(values => {
-			let [data, artist_genres, record_labels, features] = values
-			data = data.flat() // get rid of the batch dimension (only 100 songs per call)
-			features = features.flat() // get rid of the batch dimension (only 100 songs per call)
-			
-			console.log('Combining data. Total tracks:', data.length, 'Total feature arrays:', features.length);
-			if (features.length > 0 && features[0]) {
-				console.log('Sample feature array:', features[0]);
-			}
-			
-			data.forEach((row, i) => {
-				// add genres
-				let artist_ids = row.shift()?.slice(1, -1).split(',') // strip the quotes from artist ids, and toss; user doesn't need to see ids
-				let deduplicated_genres = new Set(artist_ids?.map(a => artist_genres[a]).join(",").split(",")) // in case multiple artists
-				row.push('"'+Array.from(deduplicated_genres).filter(x => x != "").join(",")+'"') // remove empty strings
-				// add album details
-				let album_id = row.shift()
-				row.push('"'+record_labels[album_id]+'"')
-				
-				// add features - MUST be done after shift() operations to maintain correct index
-				if (!features || features.length === 0) {
-					console.warn(`No audio features data available for track ${i}. Adding empty values.`);
-					for (let j = 0; j < 12; j++) row.push(''); // 12 audio feature fields
-				} else if (features[i] && Array.isArray(features[i]) && features[i].length === 12) {
-					features[i].forEach(feat => row.push(feat !== null && feat !== undefined ? feat : '')); // Use empty string for null values
-				} else {
-					console.warn(`Track ${i} has invalid features array:`, features[i]);
-					// No features for this track, add empty values
-					for (let j = 0; j < 12; j++) row.push('');
+			let [items, artist_genres, album_details, audio_features] = values
+			return items.map(song => {
+				let kind = PlaylistExporter.itemKind(song.track)
+				return kind != 'track' ? { item: song, kind: kind, track: song.track, genres: [], album: {}, features: null } : {
+					item: song,
+					kind: kind,
+					track: song.track,
+					genres: Array.from(new Set(song.track?.artists?.flatMap(a => artist_genres[a?.id] || []) || [])), // in case multiple artists
+					album: album_details[song.track?.album?.id] || {},
+					features: audio_features[song.track?.id] ?? null
 				}
 			})
-			// make a string
-			let csv = "Track URI,Track Name,Album Name,Artist Name(s),Release Date,Duration (ms),Popularity,Explicit,Added By,Added At,Genres,Record Label,Danceability,Energy,Key,Loudness,Mode,Speechiness,Acousticness,Instrumentalness,Liveness,Valence,Tempo,Time Signature\n"
-			data.forEach(row => { csv += row.join(",") + "\n" })
-			return csv
 		})
 	},
 
+	// What a playlist item holds: 'episode' for a podcast episode, 'local' for a file the owner added from their own
+	// computer (these have no Spotify ids), or 'track' for an ordinary Spotify song
+	itemKind(track) {
+		if (track?.is_local) { return 'local' }
+		return track?.type == 'episode' || track?.episode === true ? 'episode' : 'track' // the latter is how episodes look without additional_types
+	},
+
+	// The audio features columns, in export order
+	featureNames: ['danceability', 'energy', 'key', 'loudness', 'mode', 'speechiness', 'acousticness', 'instrumentalness',
+		'liveness', 'valence', 'tempo', 'time_signature'],
+
+	// Every column a csv export can have. Each names the part of a trackData record it reads (its source, one of the keys
+	// of columnSources) and a format function that turns that part into the cell value. Text columns are quoted so commas
+	// inside them can't throw off the csv. Artists are separated with semicolons so commas can be preserved in their names.
+	columns: {
+		track_uri: { header: 'Track URI', source: 'track', format: track => track?.uri },
+		track_id: { header: 'Track ID', source: 'track', format: track => track?.id },
+		track_name: { header: 'Track Name', source: 'track', format: track => track?.name, quoted: true },
+		album_name: { header: 'Album Name', source: 'album', format: album => album.name, quoted: true },
+		album_id: { header: 'Album ID', source: 'album', format: album => album.id },
+		artist_names: { header: 'Artist Name(s)', source: 'artist', format: ({artists}) => artists.map(artist => artist?.name?.replace(/;/g, '')).join(';'), quoted: true },
+		artist_ids: { header: 'Artist ID(s)', source: 'artist', format: ({artists}) => artists.map(artist => artist?.id).join(';'), quoted: true },
+		release_date: { header: 'Release Date', source: 'album', format: (album, {track}) => album.release_date ?? track?.release_date }, // episodes have their own
+		duration_ms: { header: 'Duration (ms)', source: 'track', format: track => track?.duration_ms },
+		popularity: { header: 'Popularity', source: 'track', format: track => track?.popularity },
+		explicit: { header: 'Explicit', source: 'track', format: track => track?.explicit },
+		added_by: { header: 'Added By', source: 'item', format: item => item.added_by?.id },
+		added_at: { header: 'Added At', source: 'item', format: item => item.added_at },
+		genres: { header: 'Genres', source: 'artist', format: ({genres}) => genres.join(','), quoted: true },
+		record_label: { header: 'Record Label', source: 'album', format: album => album.label, quoted: true },
+		danceability: { header: 'Danceability', source: 'feature', format: features => features?.danceability },
+		energy: { header: 'Energy', source: 'feature', format: features => features?.energy },
+		key: { header: 'Key', source: 'feature', format: features => features?.key },
+		loudness: { header: 'Loudness', source: 'feature', format: features => features?.loudness },
+		mode: { header: 'Mode', source: 'feature', format: features => features?.mode },
+		speechiness: { header: 'Speechiness', source: 'feature', format: features => features?.speechiness },
+		acousticness: { header: 'Acousticness', source: 'feature', format: features => features?.acousticness },
+		instrumentalness: { header: 'Instrumentalness', source: 'feature', format: features => features?.instrumentalness },
+		liveness: { header: 'Liveness', source: 'feature', format: features => features?.liveness },
+		valence: { header: 'Valence', source: 'feature', format: features => features?.valence },
+		tempo: { header: 'Tempo', source: 'feature', format: features => features?.tempo },
+		time_signature: { header: 'Time Signature', source: 'feature', format: features => features?.time_signature },
+		// Identifiers for matching tracks against label catalogs and other services
+		isrc: { header: 'ISRC', source: 'track', format: track => track?.external_ids?.isrc },
+		upc: { header: 'UPC', source: 'album', format: album => album.upc },
+		track_number: { header: 'Track Number', source: 'track', format: track => track?.track_number },
+		disc_number: { header: 'Disc Number', source: 'track', format: track => track?.disc_number },
+		album_type: { header: 'Album Type', source: 'album', format: album => album.album_type },
+		album_total_tracks: { header: 'Album Total Tracks', source: 'album', format: album => album.total_tracks },
+		is_local: { header: 'Is Local', source: 'track', format: track => track?.is_local },
+		item_type: { header: 'Item Type', source: 'item', format: (item, {kind}) => kind },
+		// Listening history only
+		rank: { header: 'Rank', source: 'item', format: item => item.rank },
+		played_at: { header: 'Played At', source: 'item', format: item => item.played_at },
+		// Podcast episodes only
+		show_name: { header: 'Show Name', source: 'track', format: track => track?.show?.name, quoted: true },
+		publisher: { header: 'Publisher', source: 'track', format: track => track?.show?.publisher, quoted: true },
+		copyrights: { header: 'Copyrights', source: 'album', format: album => album.copyrights?.map(c => c.text).join(' | '), quoted: true }
+	},
+
+	// How each column source is found in a trackData record
+	columnSources: {
+		track: record => record.track,
+		album: record => ({ ...record.track?.album, ...record.album }), // the album as listed on the track, plus the details fetched separately
+		artist: record => ({ artists: record.track?.artists || [], genres: record.genres }),
+		feature: record => record.features,
+		item: record => record.item // the playlist item, which knows who added the track and when
+	},
+
+	// The classic Exportify column set, plus what kind of item each row is and, for podcast episodes (which have no artists
+	// or album), their show and publisher. The analysis pages expect these.
+	defaultColumns: ['track_uri', 'track_name', 'album_name', 'artist_names', 'release_date', 'duration_ms', 'popularity',
+		'explicit', 'added_by', 'added_at', 'genres', 'record_label', 'danceability', 'energy', 'key', 'loudness', 'mode',
+		'speechiness', 'acousticness', 'instrumentalness', 'liveness', 'valence', 'tempo', 'time_signature', 'item_type',
+		'show_name', 'publisher'],
+
+	// The columns the user picked for csv exports, in their order, remembered between visits
+	selectedColumns() {
+		try {
+			let columns = JSON.parse(localStorage.getItem('csv_columns')).filter(key => key in this.columns)
+			if (columns.length) { return columns }
+		} catch (e) {} // nothing saved, or something unreadable, so fall back
+		return this.defaultColumns
+	},
+
+	setSelectedColumns(columns) {
+		localStorage.setItem('csv_columns', JSON.stringify(columns))
+	},
+
+	// What the analysis pages get: the default columns, plus identifiers they can show but older exports won't have
+	analysisColumns: ['isrc', 'upc', 'track_number', 'disc_number', 'album_type', 'album_total_tracks', 'is_local'],
+
+	// Fetch a playlist's tracks and put them all in a single csv string with the columns the analysis pages read, whatever
+	// the user picked for their own exports. Takes the same options as trackData.
+	async csvData(playlist, options = {}) {
+		return this.formats.csv.render(playlist, await this.trackData(playlist, options), [...this.defaultColumns, ...this.analysisColumns])
+	},
+
+	// Fetch a playlist's tracks and describe them as JSON. Takes the same options as trackData.
+	async jsonData(playlist, options = {}) {
+		return this.formats.json.render(playlist, await this.trackData(playlist, options))
+	},
+
+	// The parts of a user's library that aren't playlists. PlaylistTable lists each one as a pseudo-playlist whose
+	// collection key names its entry here, the same way it fakes Liked Songs. Each entry has:
+	// - name, noun, url: how it's shown, what its items are called, and where it lives on open.spotify.com (if anywhere;
+	//   otherwise it links to the user's profile)
+	// - href: the endpoint that lists it, and page: where the paging object is in that endpoint's responses
+	// - cursor: true if the endpoint pages with cursors rather than offsets, so pages have to be fetched one by one
+	// - single: true if the endpoint only ever has one page, of up to 50
+	// - columns: its own csv schema, in the style of PlaylistExporter.columns. Every column's source is the item.
+	// - breakdowns: what its analysis page counts, each a title and a function listing the values an item contributes
+	// Collections of tracks are different: they set tracks, go through trackData like any playlist, and instead of columns
+	// and breakdowns have items, which turns a response into playlist-like items ({track, ...}), and extraColumns, keys
+	// of PlaylistExporter.columns their csvs always include.
+	// https://developer.spotify.com/documentation/web-api/reference/get-users-top-artists-and-tracks
+	collections: {
+		top_tracks_short: {
+			name: 'Top Tracks (4 Weeks)', noun: 'tracks', tracks: true,
+			href: 'https://api.spotify.com/v1/me/top/tracks?time_range=short_term', page: response => response,
+			items: response => response.items.map((track, i) => ({ track: track, rank: response.offset + i + 1 })), extraColumns: ['rank']
+		},
+		top_tracks_medium: {
+			name: 'Top Tracks (6 Months)', noun: 'tracks', tracks: true,
+			href: 'https://api.spotify.com/v1/me/top/tracks?time_range=medium_term', page: response => response,
+			items: response => response.items.map((track, i) => ({ track: track, rank: response.offset + i + 1 })), extraColumns: ['rank']
+		},
+		top_tracks_long: {
+			name: 'Top Tracks (1 Year)', noun: 'tracks', tracks: true,
+			href: 'https://api.spotify.com/v1/me/top/tracks?time_range=long_term', page: response => response,
+			items: response => response.items.map((track, i) => ({ track: track, rank: response.offset + i + 1 })), extraColumns: ['rank']
+		},
+		// Spotify only remembers the last 50 plays https://developer.spotify.com/documentation/web-api/reference/get-recently-played
+		recently_played: {
+			name: 'Recently Played', noun: 'tracks', tracks: true, single: true,
+			href: 'https://api.spotify.com/v1/me/player/recently-played', page: response => response,
+			items: response => response.items, extraColumns: ['played_at'] // these are already {track, played_at, context}
+		},
+		// Top artists look like followed artists, ranked
+		top_artists_short: {
+			name: 'Top Artists (4 Weeks)', noun: 'artists',
+			href: 'https://api.spotify.com/v1/me/top/artists?time_range=short_term', page: response => response,
+			get columns() { return PlaylistExporter.rankedColumns(PlaylistExporter.collections.artists.columns) },
+			get breakdowns() { return PlaylistExporter.collections.artists.breakdowns }
+		},
+		top_artists_medium: {
+			name: 'Top Artists (6 Months)', noun: 'artists',
+			href: 'https://api.spotify.com/v1/me/top/artists?time_range=medium_term', page: response => response,
+			get columns() { return PlaylistExporter.rankedColumns(PlaylistExporter.collections.artists.columns) },
+			get breakdowns() { return PlaylistExporter.collections.artists.breakdowns }
+		},
+		top_artists_long: {
+			name: 'Top Artists (1 Year)', noun: 'artists',
+			href: 'https://api.spotify.com/v1/me/top/artists?time_range=long_term', page: response => response,
+			get columns() { return PlaylistExporter.rankedColumns(PlaylistExporter.collections.artists.columns) },
+			get breakdowns() { return PlaylistExporter.collections.artists.breakdowns }
+		},
+		// https://developer.spotify.com/documentation/web-api/reference/get-users-saved-albums
+		albums: {
+			name: 'Saved Albums', noun: 'albums', url: 'https://open.spotify.com/collection/albums',
+			href: 'https://api.spotify.com/v1/me/albums', page: response => response,
+			columns: {
+				album_uri: { header: 'Album URI', source: 'item', format: item => item.album?.uri },
+				album_name: { header: 'Album Name', source: 'item', format: item => item.album?.name, quoted: true },
+				artist_names: { header: 'Artist Name(s)', source: 'item', format: item => (item.album?.artists || []).map(artist => artist?.name?.replace(/;/g, '')).join(';'), quoted: true },
+				release_date: { header: 'Release Date', source: 'item', format: item => item.album?.release_date },
+				album_type: { header: 'Album Type', source: 'item', format: item => item.album?.album_type },
+				total_tracks: { header: 'Total Tracks', source: 'item', format: item => item.album?.total_tracks },
+				record_label: { header: 'Record Label', source: 'item', format: item => item.album?.label, quoted: true },
+				upc: { header: 'UPC', source: 'item', format: item => item.album?.external_ids?.upc },
+				popularity: { header: 'Popularity', source: 'item', format: item => item.album?.popularity },
+				genres: { header: 'Genres', source: 'item', format: item => (item.album?.genres || []).join(','), quoted: true },
+				added_at: { header: 'Added At', source: 'item', format: item => item.added_at }
+			},
+			breakdowns: [
+				{ title: 'Top Artists', values: item => (item.album?.artists || []).map(artist => artist?.name) },
+				{ title: 'Record Labels', values: item => [item.album?.label] },
+				{ title: 'Release Decades', values: item => [item.album?.release_date && item.album.release_date.substring(0, 3) + '0s'] },
+				{ title: 'Album Types', values: item => [item.album?.album_type] }
+			]
+		},
+		// https://developer.spotify.com/documentation/web-api/reference/get-followed
+		artists: {
+			name: 'Followed Artists', noun: 'artists', url: 'https://open.spotify.com/collection/artists',
+			href: 'https://api.spotify.com/v1/me/following?type=artist', page: response => response.artists, cursor: true,
+			columns: {
+				artist_uri: { header: 'Artist URI', source: 'item', format: item => item.uri },
+				artist_name: { header: 'Artist Name', source: 'item', format: item => item.name, quoted: true },
+				genres: { header: 'Genres', source: 'item', format: item => (item.genres || []).join(','), quoted: true },
+				followers: { header: 'Followers', source: 'item', format: item => item.followers?.total },
+				popularity: { header: 'Popularity', source: 'item', format: item => item.popularity }
+			},
+			breakdowns: [
+				{ title: 'Top Genres', values: item => item.genres || [] },
+				{ title: 'Popularity', values: item => [item.popularity != null && Math.min(80, Math.floor(item.popularity / 20) * 20) + '+'] }
+			]
+		},
+		// https://developer.spotify.com/documentation/web-api/reference/get-users-saved-shows
+		shows: {
+			name: 'Saved Shows', noun: 'shows', url: 'https://open.spotify.com/collection/podcasts',
+			href: 'https://api.spotify.com/v1/me/shows', page: response => response,
+			columns: {
+				show_uri: { header: 'Show URI', source: 'item', format: item => item.show?.uri },
+				show_name: { header: 'Show Name', source: 'item', format: item => item.show?.name, quoted: true },
+				publisher: { header: 'Publisher', source: 'item', format: item => item.show?.publisher, quoted: true },
+				total_episodes: { header: 'Total Episodes', source: 'item', format: item => item.show?.total_episodes },
+				explicit: { header: 'Explicit', source: 'item', format: item => item.show?.explicit },
+				languages: { header: 'Languages', source: 'item', format: item => (item.show?.languages || []).join(','), quoted: true },
+				description: { header: 'Description', source: 'item', format: item => item.show?.description, quoted: true },
+				added_at: { header: 'Added At', source: 'item', format: item => item.added_at }
+			},
+			breakdowns: [
+				{ title: 'Publishers', values: item => [item.show?.publisher] },
+				{ title: 'Languages', values: item => item.show?.languages || [] }
+			]
+		},
+		// https://developer.spotify.com/documentation/web-api/reference/get-users-saved-episodes
+		episodes: {
+			name: 'Saved Episodes', noun: 'episodes', url: 'https://open.spotify.com/collection/your-episodes',
+			href: 'https://api.spotify.com/v1/me/episodes', page: response => response,
+			columns: {
+				episode_uri: { header: 'Episode URI', source: 'item', format: item => item.episode?.uri },
+				episode_name: { header: 'Episode Name', source: 'item', format: item => item.episode?.name, quoted: true },
+				show_name: { header: 'Show Name', source: 'item', format: item => item.episode?.show?.name, quoted: true },
+				publisher: { header: 'Publisher', source: 'item', format: item => item.episode?.show?.publisher, quoted: true },
+				release_date: { header: 'Release Date', source: 'item', format: item => item.episode?.release_date },
+				duration_ms: { header: 'Duration (ms)', source: 'item', format: item => item.episode?.duration_ms },
+				explicit: { header: 'Explicit', source: 'item', format: item => item.episode?.explicit },
+				resume_position_ms: { header: 'Resume Position (ms)', source: 'item', format: item => item.episode?.resume_point?.resume_position_ms },
+				fully_played: { header: 'Fully Played', source: 'item', format: item => item.episode?.resume_point?.fully_played },
+				added_at: { header: 'Added At', source: 'item', format: item => item.added_at }
+			},
+			breakdowns: [
+				{ title: 'Shows', values: item => [item.episode?.show?.name] },
+				{ title: 'Release Years', values: item => [item.episode?.release_date?.substring(0, 4)] }
+			]
+		}
+	},
+
+	// The formats a library collection can be exported as, unless it's a list of tracks
+	collectionFormats: ['csv', 'json'],
+
+	// Whether a playlist or pseudo-playlist is a list of tracks, and so goes through trackData
+	listsTracks(playlist) {
+		return !playlist.collection || !!this.collections[playlist.collection].tracks
+	},
+
+	// A collection's csv columns with its items' rank in front. Records come in the order the collection lists them.
+	rankedColumns(columns) {
+		return { rank: { header: 'Rank', source: 'item', format: (item, {rank}) => rank }, ...columns }
+	},
+
+	// What a playlist's items are called: tracks, or whatever its library collection holds
+	itemNoun(playlist) {
+		return this.collections[playlist.collection]?.noun || 'tracks'
+	},
+
+	// Fetch every item of a library collection, resolving to one {item, rank} record per item, so the csv columns can read them
+	// the way they read trackData's records. Takes the same options as trackData, but reports everything as one 'items' phase.
+	async collectionData(playlist, { signal=null, onProgress=null } = {}) {
+		let c = this.collections[playlist.collection]
+		let progress = { playlist: playlist, phase: 'items', completed: 0, total: Math.ceil(playlist.tracks.total / 50), tracks: 0 }
+		let tick = response => {
+			progress.total = Math.max(progress.total, ++progress.completed) // in case the collection grew since it was counted
+			progress.tracks += c.page(response).items.length
+			onProgress?.({ ...progress })
+			return response
+		}
+		onProgress?.({ ...progress })
+
+		let responses = []
+		if (c.cursor) { // each page says where the next one starts
+			for (let url = c.href + '&limit=50'; url; url = c.page(responses[responses.length - 1]).next) {
+				responses.push(tick(await utils.apiCall(url, signal)))
+			}
+		} else { // 50 at a time is the most these endpoints allow
+			let requests = []
+			for (let offset = 0; offset < playlist.tracks.total; offset += 50) {
+				requests.push(utils.apiCall(c.href + (c.href.includes('?') ? '&' : '?') + 'offset=' + offset + '&limit=50', signal).then(tick))
+			}
+			responses = await Promise.all(requests)
+		}
+		return responses.flatMap(response => c.page(response).items).filter(item => item).map((item, i) => ({ item: item, rank: i + 1 }))
+	},
+
+	// The file formats a playlist can be exported as. Each turns a playlist and the output of trackData into file contents.
+	formats: {
+		csv: {
+			label: 'CSV',
+			extension: 'csv',
+			type: 'text/csv;charset=utf-8',
+			bom: true, // so Excel recognizes a downloaded file as UTF-8
+			// columns is a list of keys of PlaylistExporter.columns. Library collections always use all of their own instead,
+			// or if they're lists of tracks, add their extraColumns.
+			render(playlist, tracks, columns=PlaylistExporter.selectedColumns()) {
+				// Names and such are always quoted. Missing values become empty cells.
+				let collection = PlaylistExporter.collections[playlist.collection]
+				columns = !PlaylistExporter.listsTracks(playlist) ? Object.values(collection.columns) :
+					[...columns, ...(collection?.extraColumns || []).filter(key => !columns.includes(key))].map(key => PlaylistExporter.columns[key])
+				let csv = columns.map(column => CSV.field(column.header)).join(",") + "\n"
+				tracks.forEach(record => {
+					let sources = {} // look each source up once per row, not once per column
+					csv += (columns.map(column => {
+						if (!(column.source in sources)) { sources[column.source] = PlaylistExporter.columnSources[column.source](record) }
+						return CSV.field(column.format(sources[column.source], record), column.quoted)
+					}).join(",") || '""') + "\n" // an empty line would read back as no row at all (see CSV.parse)
+				})
+				return csv
+			}
+		},
+		json: {
+			label: 'JSON',
+			extension: 'json',
+			type: 'application/json;charset=utf-8',
+			// Unlike the csv, lists stay lists, so nothing needs re-parsing downstream. Library collections keep Spotify's own
+			// objects whole, which makes for the most complete backup.
+			render(playlist, tracks) {
+				if (!PlaylistExporter.listsTracks(playlist)) {
+					return JSON.stringify({ collection: { type: playlist.collection, name: playlist.name, owner: playlist.owner?.id ?? null,
+						item_count: tracks.length, exported_at: new Date().toISOString() }, items: tracks.map(({item}) => item) }, null, 2)
+				}
+				return JSON.stringify({
+					playlist: PlaylistExporter.playlistMetadata(playlist, tracks.length),
+					tracks: tracks.map(({item, kind, track, genres, album, features}) => ({
+						type: kind,
+						uri: track?.uri ?? null,
+						name: track?.name ?? null,
+						isrc: track?.external_ids?.isrc ?? null,
+						artists: track?.artists?.map(artist => ({ id: artist?.id ?? null, name: artist?.name ?? null })) || [],
+						album: { id: track?.album?.id ?? null, name: track?.album?.name ?? null, type: track?.album?.album_type ?? null,
+							release_date: track?.album?.release_date ?? null, total_tracks: track?.album?.total_tracks ?? null,
+							record_label: album.label ?? null, upc: album.upc ?? null, copyrights: album.copyrights || [] },
+						track_number: track?.track_number ?? null,
+						disc_number: track?.disc_number ?? null,
+						is_local: track?.is_local ?? false,
+						show: kind == 'episode' ? { name: track?.show?.name ?? null, publisher: track?.show?.publisher ?? null,
+							release_date: track?.release_date ?? null } : null,
+						duration_ms: track?.duration_ms ?? null,
+						popularity: track?.popularity ?? null,
+						explicit: track?.explicit ?? null,
+						added_by: item.added_by?.id ?? null,
+						added_at: item.added_at ?? null,
+						rank: item.rank, // listening history only, so left out otherwise
+						played_at: item.played_at,
+						genres: genres,
+						audio_features: features ? Object.fromEntries(PlaylistExporter.featureNames.map(name => [name, features[name] ?? null])) : null
+					}))
+				}, null, 2)
+			}
+		},
+		// Standard playlist formats, so a playlist can be carried over to a local library or another player. These only
+		// hold what's needed to find each song again: title, artists, album, duration, and the Spotify URI.
+		// https://en.wikipedia.org/wiki/M3U#Extended_M3U
+		m3u8: {
+			label: 'M3U8',
+			extension: 'm3u8',
+			type: 'audio/x-mpegurl;charset=utf-8',
+			render(playlist, tracks) {
+				let clean = text => (text ?? '').toString().replace(/[\r\n]+/g, ' ') // every entry has to stay on its own line
+				return '#EXTM3U\n#PLAYLIST:' + clean(playlist.name) + '\n' + tracks.filter(({track}) => track?.uri).map(({track}) =>
+					'#EXTINF:' + Math.round((track.duration_ms || 0) / 1000) + ',' + clean(PlaylistExporter.artistNames(track).join(', ')) +
+					' - ' + clean(track.name) + '\n' + track.uri).join('\n') + '\n'
+			}
+		},
+		// https://www.xspf.org/spec
+		xspf: {
+			label: 'XSPF',
+			extension: 'xspf',
+			type: 'application/xspf+xml;charset=utf-8',
+			render(playlist, tracks) {
+				let element = (tag, value) => value == null || value === '' ? '' : '<' + tag + '>' + PlaylistExporter.escapeHtml(value) + '</' + tag + '>'
+				return '<?xml version="1.0" encoding="UTF-8"?>\n<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+					'\t' + element('title', playlist.name) + element('creator', playlist.owner?.id) + element('date', new Date().toISOString()) + '\n' +
+					'\t<trackList>\n' + tracks.filter(({track}) => track?.uri).map(({track}) => '\t\t<track>' +
+						element('identifier', track.uri) + element('title', track.name) + element('creator', PlaylistExporter.artistNames(track).join(', ')) +
+						element('album', track.album?.name) + element('duration', track.duration_ms) + '</track>\n').join('') +
+					'\t</trackList>\n</playlist>\n'
+			}
+		},
+		// XSPF's JSON twin https://www.xspf.org/jspf
+		jspf: {
+			label: 'JSPF',
+			extension: 'jspf',
+			type: 'application/json;charset=utf-8',
+			render(playlist, tracks) {
+				return JSON.stringify({ playlist: {
+					title: playlist.name,
+					creator: playlist.owner?.id,
+					date: new Date().toISOString(),
+					identifier: playlist.uri,
+					track: tracks.filter(({track}) => track?.uri).map(({track}) => ({
+						identifier: [track.uri],
+						title: track.name,
+						creator: PlaylistExporter.artistNames(track).join(', '),
+						album: track.album?.name,
+						duration: track.duration_ms
+					}))
+				} }, null, 2)
+			}
+		}
+	},
+
+	// A track's artist names, skipping any missing ones
+	artistNames(track) {
+		return (track?.artists || []).map(artist => artist?.name).filter(name => name)
+	},
+
+	// The playlist-level block of a structured export: what was exported, and when
+	playlistMetadata(playlist, trackCount) {
+		return {
+			id: playlist.id ?? null,
+			name: playlist.name,
+			description: playlist.description ?? null,
+			owner: playlist.owner?.id ?? null,
+			uri: playlist.uri ?? null,
+			url: playlist.external_urls?.spotify ?? null,
+			public: playlist.public ?? null,
+			collaborative: playlist.collaborative ?? null,
+			snapshot_id: playlist.snapshot_id ?? null,
+			track_count: trackCount,
+			exported_at: new Date().toISOString()
+		}
+	},
+
+	// The format chosen in the playlist controls, remembered between visits
+	exportFormat() {
+		let format = localStorage.getItem('export_format')
+		return format in this.formats ? format : 'csv'
+	},
+
+	// Playlist formats like M3U8 only make sense for things a player can play, so library collections fall back to csv
+	// for those
+	formatFor(playlist, format) {
+		return !this.listsTracks(playlist) && !this.collectionFormats.includes(format) ? 'csv' : format
+	},
+
+	// Fetch a playlist's tracks (or a library collection's items) and render them in the given format, resolving to the
+	// file's contents and name
+	async exportFile(playlist, format, options = {}) {
+		format = this.formatFor(playlist, format)
+		let f = this.formats[format]
+		let data = this.listsTracks(playlist) ? await this.trackData(playlist, options) : await this.collectionData(playlist, options)
+		if (this.listsTracks(playlist)) { snapshots.save(playlist, data) } // so History can compare this export with others
+		let contents = f.render(playlist, data)
+		let file = { contents: contents, name: this.fileName(playlist) + "." + f.extension, extension: f.extension, type: f.type, bom: f.bom }
+		savedExports.save(playlist, format, file) // for incremental Export All
+		return file
+	},
+
 	// Generate HTML for simple analysis (without audio features)
 	generateSimpleAnalysisHTML(playlist, csv) {
-		const lines = csv.split('\n');
-		const headers = lines[0].split(',');
-		const data = lines.slice(1).filter(line => line.trim());
+		const [headers, ...data] = CSV.parse(csv);
 		
 		// Helper function to escape HTML
 		const escapeHtml = (text) => {
@@ -772,30 +2684,13 @@ let PlaylistExporter = {
 			});
 		};
 		
-		// Parse CSV row handling quoted fields
-		const parseCSVRow = (row) => {
-			const result = [];
-			let current = '';
-			let inQuotes = false;
-			
-			for (let i = 0; i < row.length; i++) {
-				const char = row[i];
-				if (char === '"') {
-					inQuotes = !inQuotes;
-				} else if (char === ',' && !inQuotes) {
-					result.push(current.trim());
-					current = '';
-				} else {
-					current += char;
-				}
-			}
-			result.push(current.trim());
-			return result;
-		};
-		
-		// Get column indices
+		// Get column indices. A header that starts with the name beats one that merely contains it, so 'Artist Name' finds
+		// "Artist Name(s)" and not "Album Artist Name(s)".
 		const getColumnIndex = (name) => {
-			return headers.findIndex(h => h.toLowerCase().includes(name.toLowerCase()));
+			const lower = headers.map(h => h.toLowerCase());
+			name = name.toLowerCase();
+			const starts = lower.findIndex(h => h.startsWith(name));
+			return starts >= 0 ? starts : lower.findIndex(h => h.includes(name));
 		};
 		
 		const trackNameIdx = getColumnIndex('Track Name');
@@ -808,34 +2703,48 @@ let PlaylistExporter = {
 		const explicitIdx = getColumnIndex('Explicit');
 		const addedAtIdx = getColumnIndex('Added At');
 		const labelIdx = getColumnIndex('Record Label');
+		const isrcIdx = getColumnIndex('ISRC');
+		const upcIdx = getColumnIndex('UPC');
+		const albumTypeIdx = getColumnIndex('Album Type');
+		const itemTypeIdx = getColumnIndex('Item Type');
 		
 		// Process data
 		const processedData = data.map(row => {
-			const fields = parseCSVRow(row);
+			const fields = row.map(field => field.trim());
 			return {
-				trackName: fields[trackNameIdx]?.replace(/^"|"$/g, ''),
-				artist: fields[artistIdx]?.replace(/^"|"$/g, ''),
-				album: fields[albumIdx]?.replace(/^"|"$/g, ''),
-				releaseDate: fields[releaseDateIdx]?.replace(/^"|"$/g, ''),
+				trackName: fields[trackNameIdx],
+				artist: fields[artistIdx],
+				album: fields[albumIdx],
+				releaseDate: fields[releaseDateIdx],
 				popularity: parseInt(fields[popularityIdx]) || 0,
 				duration: parseInt(fields[durationIdx]) || 0,
-				genres: fields[genresIdx]?.replace(/^"|"$/g, '').split(',').filter(g => g.trim()),
+				genres: (fields[genresIdx] || '').split(',').filter(g => g.trim()),
 				explicit: fields[explicitIdx]?.toLowerCase() === 'true',
-				addedAt: fields[addedAtIdx]?.replace(/^"|"$/g, ''),
-				label: fields[labelIdx]?.replace(/^"|"$/g, '')
+				addedAt: fields[addedAtIdx],
+				label: fields[labelIdx],
+				isrc: isrcIdx >= 0 ? fields[isrcIdx] : '',
+				upc: upcIdx >= 0 ? fields[upcIdx] : '',
+				albumType: albumTypeIdx >= 0 ? fields[albumTypeIdx] : '',
+				itemType: (itemTypeIdx >= 0 && fields[itemTypeIdx]) || 'track' // older exports only ever held tracks
 			};
 		}).filter(row => row.trackName);
 		
+		// Podcast episodes and local files have no Spotify artists or genres, so they're counted on their own and kept
+		// out of the artist, album, genre and label breakdowns
+		const episodeCount = processedData.filter(t => t.itemType === 'episode').length;
+		const localCount = processedData.filter(t => t.itemType === 'local').length;
+		const songs = processedData.filter(t => t.itemType === 'track');
+		
 		const totalTracks = processedData.length;
 		const avgPopularity = processedData.reduce((sum, t) => sum + t.popularity, 0) / totalTracks;
 		const totalDuration = processedData.reduce((sum, t) => sum + t.duration, 0);
 		const explicitCount = processedData.filter(t => t.explicit).length;
 		
 		// Count unique artists, albums, genres
-		const uniqueArtists = new Set(processedData.map(t => t.artist).filter(a => a));
-		const uniqueAlbums = new Set(processedData.map(t => t.album).filter(a => a));
+		const uniqueArtists = new Set(songs.map(t => t.artist).filter(a => a));
+		const uniqueAlbums = new Set(songs.map(t => t.album).filter(a => a));
 		const uniqueGenresSet = new Set();
-		processedData.forEach(track => {
+		songs.forEach(track => {
 			track.genres.forEach(genre => {
 				if (genre) uniqueGenresSet.add(genre);
 			});
@@ -843,7 +2752,7 @@ let PlaylistExporter = {
 		
 		// Genre analysis
 		const genreCount = {};
-		processedData.forEach(track => {
+		songs.forEach(track => {
 			track.genres.forEach(genre => {
 				if (genre) genreCount[genre] = (genreCount[genre] || 0) + 1;
 			});
@@ -854,7 +2763,7 @@ let PlaylistExporter = {
 		
 		// Artist analysis
 		const artistCount = {};
-		processedData.forEach(track => {
+		songs.forEach(track => {
 			if (track.artist) artistCount[track.artist] = (artistCount[track.artist] || 0) + 1;
 		});
 		const topArtists = Object.entries(artistCount)
@@ -863,7 +2772,7 @@ let PlaylistExporter = {
 		
 		// Album analysis
 		const albumCount = {};
-		processedData.forEach(track => {
+		songs.forEach(track => {
 			if (track.album) albumCount[track.album] = (albumCount[track.album] || 0) + 1;
 		});
 		const topAlbums = Object.entries(albumCount)
@@ -872,7 +2781,7 @@ let PlaylistExporter = {
 		
 		// Label analysis (if available in data)
 		const labelCount = {};
-		processedData.forEach(track => {
+		songs.forEach(track => {
 			if (track.label) labelCount[track.label] = (labelCount[track.label] || 0) + 1;
 		});
 		const topLabels = Object.entries(labelCount)
@@ -1283,6 +3192,14 @@ let PlaylistExporter = {
 					<div class="stat-card-value">${Math.floor(totalDuration / 60000)} min</div>
 					<div class="stat-card-label">Total Duration</div>
 				</div>
+				${episodeCount > 0 ? `<div class="stat-card">
+					<div class="stat-card-value">${episodeCount}</div>
+					<div class="stat-card-label">Podcast Episodes</div>
+				</div>` : ''}
+				${localCount > 0 ? `<div class="stat-card">
+					<div class="stat-card-value">${localCount}</div>
+					<div class="stat-card-label">Local Files</div>
+				</div>` : ''}
 			</div>
 		</div>
 		
@@ -1338,6 +3255,10 @@ let PlaylistExporter = {
 						<div class="chart-title">Explicit Content</div>
 						<div id="explicitChart" class="chart-wrapper"></div>
 					</div>
+					<div class="chart-container">
+						<div class="chart-title">Release Types</div>
+						<div id="albumTypeChart" class="chart-wrapper"></div>
+					</div>
 				</div>
 			</section>
 			
@@ -1382,19 +3303,13 @@ let PlaylistExporter = {
 		const topLabels = ${JSON.stringify(topLabels)};
 		const yearData = ${JSON.stringify(yearData)};
 		const playlistName = ${JSON.stringify(escapeHtml(playlist.name))};
+		const CSV = { ${CSV.field}, ${CSV.stringify} }; // the main page's csv writer
 		
 		// CSV Download functionality
 		document.getElementById('downloadCsvBtn').addEventListener('click', function() {
-			const csvContent = 'Track Name,Artist,Album,Release Date,Duration (ms),Popularity,Explicit\\n' +
-				processedData.map(track => 
-					'"' + (track.trackName || '').replace(/"/g, '""') + '",' +
-					'"' + (track.artist || '').replace(/"/g, '""') + '",' +
-					'"' + (track.album || '').replace(/"/g, '""') + '",' +
-					'"' + (track.releaseDate || '') + '",' +
-					track.duration + ',' +
-					track.popularity + ',' +
-					track.explicit
-				).join('\\n');
+			const csvContent = CSV.stringify([['Track Name', 'Artist', 'Album', 'Release Date', 'Duration (ms)', 'Popularity', 'Explicit', 'ISRC', 'UPC'],
+				...processedData.map(track => [track.trackName, track.artist, track.album, track.releaseDate, track.duration,
+					track.popularity, track.explicit, track.isrc, track.upc])], [true, true, true, true]);
 			
 			const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
 			const link = document.createElement('a');
@@ -1558,6 +3473,24 @@ let PlaylistExporter = {
 			}
 		}).render();
 		
+		// Release Types (album, single, compilation), which only newer exports include
+		const albumTypeCount = {};
+		processedData.forEach(track => {
+			if (track.albumType) albumTypeCount[track.albumType] = (albumTypeCount[track.albumType] || 0) + 1;
+		});
+		if (Object.keys(albumTypeCount).length > 0) {
+			new ApexCharts(document.querySelector("#albumTypeChart"), {
+				series: Object.values(albumTypeCount),
+				chart: { type: 'donut', height: 350, background: 'transparent' },
+				labels: Object.keys(albumTypeCount),
+				colors: ['#1DB954', '#00D4FF', '#FF00E5', '#FFB800'],
+				legend: { labels: { colors: '#FFFFFF' } },
+				tooltip: { theme: 'dark' }
+			}).render();
+		} else {
+			document.querySelector("#albumTypeChart").innerHTML = '<p style="text-align: center; color: var(--text-tertiary); padding: 20px;">No release type data in this export</p>';
+		}
+		
 		// Year Distribution (Histogram)
 		new ApexCharts(document.querySelector("#yearChart"), {
 			series: [{ name: 'Tracks', data: yearData.map(([year, count]) => count) }],
@@ -1579,148 +3512,953 @@ let PlaylistExporter = {
 				const decadeLabel = decade + 's';
 				decadeCount[decadeLabel] = (decadeCount[decadeLabel] || 0) + 1;
 			}
-		});
-		
-		const sortedDecades = Object.entries(decadeCount).sort((a, b) => a[0].localeCompare(b[0]));
-		
-		new ApexCharts(document.querySelector("#decadeChart"), {
-			series: sortedDecades.map(([decade, count]) => count),
-			chart: { type: 'donut', height: 350, background: 'transparent' },
-			labels: sortedDecades.map(([decade]) => decade),
-			colors: ['#764ba2', '#667eea', '#00d4ff', '#1DB954', '#f093fb', '#4facfe'],
-			legend: { labels: { colors: '#FFFFFF' } },
-			tooltip: { theme: 'dark' },
-			plotOptions: {
-				pie: {
-					donut: {
-						labels: {
-							show: true,
-							total: {
-								show: true,
-								label: 'Total',
-								color: '#FFFFFF'
-							}
-						}
-					}
+		});
+		
+		const sortedDecades = Object.entries(decadeCount).sort((a, b) => a[0].localeCompare(b[0]));
+		
+		new ApexCharts(document.querySelector("#decadeChart"), {
+			series: sortedDecades.map(([decade, count]) => count),
+			chart: { type: 'donut', height: 350, background: 'transparent' },
+			labels: sortedDecades.map(([decade]) => decade),
+			colors: ['#764ba2', '#667eea', '#00d4ff', '#1DB954', '#f093fb', '#4facfe'],
+			legend: { labels: { colors: '#FFFFFF' } },
+			tooltip: { theme: 'dark' },
+			plotOptions: {
+				pie: {
+					donut: {
+						labels: {
+							show: true,
+							total: {
+								show: true,
+								label: 'Total',
+								color: '#FFFFFF'
+							}
+						}
+					}
+				}
+			}
+		}).render();
+		
+		// Helper to escape HTML
+		function escapeHtml(text) {
+			if (!text) return '';
+			const div = document.createElement('div');
+			div.textContent = text;
+			return div.innerHTML;
+		}
+		
+		// Track Table
+		const trackTable = document.getElementById('trackTable');
+		if (trackTable) {
+			let tableHTML = '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
+			tableHTML += '<thead><tr style="border-bottom: 2px solid var(--accent-primary);">';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">#</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Track</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Artist</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Album</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Release</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Duration</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Popularity</th>';
+			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">ISRC</th>';
+			tableHTML += '</tr></thead><tbody>';
+			
+			processedData.forEach((track, i) => {
+				const duration = Math.floor(track.duration / 60000) + ':' + String(Math.floor((track.duration % 60000) / 1000)).padStart(2, '0');
+				tableHTML += '<tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.05); transition: background 0.2s ease;" onmouseover="this.style.background=\\'rgba(29, 185, 84, 0.1)\\'" onmouseout="this.style.background=\\'transparent\\'">';
+				tableHTML += '<td style="padding: 14px; color: var(--text-tertiary);">' + (i + 1) + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-primary); font-weight: 600;">' + escapeHtml(track.trackName || '-') + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + escapeHtml(track.artist || '-') + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + escapeHtml(track.album || '-') + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + (track.releaseDate || '-') + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + duration + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + track.popularity + '</td>';
+				tableHTML += '<td style="padding: 14px; color: var(--text-tertiary); font-family: monospace;">' + escapeHtml(track.isrc || '-') + '</td>';
+				tableHTML += '</tr>';
+			});
+			
+			tableHTML += '</tbody></table></div>';
+			trackTable.innerHTML = tableHTML;
+		}
+	</script>
+</body>
+</html>`;
+	},
+	
+	// The look the pages below share: a dark page under a header with a gradient title. Each page's <style> starts with it.
+	pageStyles: `
+		body {
+			font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+			background: #0a0a0a;
+			background-image: linear-gradient(180deg, #0a0a0a 0%, #121212 50%, #1a1a1a 100%);
+			color: #FFFFFF;
+			margin: 0;
+		}
+		.header {
+			background: linear-gradient(135deg, rgba(29, 185, 84, 0.2) 0%, rgba(0, 212, 255, 0.15) 100%);
+			border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+			padding: 80px 40px 60px;
+			text-align: center;
+		}
+		.header h1 {
+			font-size: clamp(32px, 5vw, 64px);
+			font-weight: 900;
+			margin: 0 0 10px;
+			background: linear-gradient(135deg, #1DB954 0%, #00D4FF 100%);
+			-webkit-background-clip: text;
+			-webkit-text-fill-color: transparent;
+			background-clip: text;
+		}
+		.header p {
+			color: rgba(255, 255, 255, 0.7);
+			font-size: 18px;
+		}
+		.content {
+			max-width: 1400px;
+			margin: 0 auto;
+			padding: 40px;
+		}`,
+
+	// Stat cards, chart cards and tables, for the dashboards: library collections, and those made from uploads (library and
+	// listening history)
+	dashboardStyles: `
+		.stat-cards {
+			display: grid;
+			grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+			gap: 15px;
+			margin-bottom: 40px;
+		}
+		.stat-card, .chart-container {
+			background: #1a1a1a;
+			border-radius: 16px;
+			padding: 30px;
+			margin-bottom: 25px;
+			box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+			border: 1px solid rgba(255, 255, 255, 0.05);
+		}
+		.stat-card {
+			text-align: center;
+			margin-bottom: 0;
+		}
+		.stat-card-value {
+			font-size: clamp(28px, 3vw, 40px);
+			font-weight: 900;
+			color: #1DB954;
+			margin-bottom: 8px;
+		}
+		.stat-card-label, th {
+			font-size: 12px;
+			color: rgba(255, 255, 255, 0.5);
+			text-transform: uppercase;
+			letter-spacing: 0.1em;
+			font-weight: 600;
+		}
+		.chart-title {
+			font-size: 18px;
+			font-weight: 700;
+			margin-bottom: 20px;
+		}
+		.table-wrap {
+			overflow-x: auto;
+		}
+		table {
+			width: 100%;
+			border-collapse: collapse;
+		}
+		th, td {
+			padding: 8px 12px;
+			text-align: left;
+			border-top: 1px solid rgba(255, 255, 255, 0.05);
+		}
+		th.sortable {
+			cursor: pointer;
+		}
+		th.sortable:hover {
+			color: #1DB954;
+		}
+		.chart-empty {
+			text-align: center;
+			color: rgba(255, 255, 255, 0.5);
+			padding: 20px;
+		}
+		.chart-note {
+			color: rgba(255, 255, 255, 0.5);
+			font-size: 14px;
+			margin: -10px 0 20px;
+		}
+		.chart-grid {
+			display: grid;
+			grid-template-columns: repeat(auto-fit, minmax(500px, 1fr));
+			gap: 25px;
+		}
+		@media (max-width: 768px) {
+			.chart-grid {
+				grid-template-columns: 1fr;
+			}
+		}`,
+
+	// Generate HTML for analyzing a library collection (see collections): how many items it holds, and a top-10 chart
+	// for each of its breakdowns. records are what collectionData resolves to.
+	generateCollectionAnalysisHTML(playlist, records) {
+		let c = this.collections[playlist.collection]
+		let charts = c.breakdowns.map((breakdown, i) => {
+			let counts = {}
+			records.forEach(({item}) => breakdown.values(item).forEach(value => { if (value) counts[value] = (counts[value] || 0) + 1 }))
+			return { id: 'breakdown' + i, title: breakdown.title, distinct: Object.keys(counts).length,
+				top: Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 10) }
+		})
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>${this.escapeHtml(playlist.name)} - Analysis</title>
+	<link rel="stylesheet" href="styles/artistic-theme.css">
+	<script src="https://cdn.jsdelivr.net/npm/apexcharts"></script>
+	<style>${this.pageStyles}${this.dashboardStyles}
+	</style>
+</head>
+<body>
+	<div class="header">
+		<h1>${this.escapeHtml(playlist.name)}</h1>
+		<p>${records.length} ${c.noun}</p>
+	</div>
+	<div class="content">
+		<div class="stat-cards">
+			<div class="stat-card">
+				<div class="stat-card-value">${records.length}</div>
+				<div class="stat-card-label">${this.escapeHtml(c.noun)}</div>
+			</div>
+			${charts.map(chart => `<div class="stat-card">
+				<div class="stat-card-value">${chart.distinct}</div>
+				<div class="stat-card-label">${this.escapeHtml(chart.title)}</div>
+			</div>`).join('')}
+		</div>
+		<div class="chart-grid">
+			${charts.map(chart => `<div class="chart-container">
+				<div class="chart-title">${this.escapeHtml(chart.title)}</div>
+				<div id="${chart.id}">${chart.top.length ? '' : '<p class="chart-empty">Nothing to show</p>'}</div>
+			</div>`).join('')}
+		</div>
+	</div>
+	<script>
+		const charts = ${JSON.stringify(charts).replace(/</g, '\\u003c')};
+		charts.filter(chart => chart.top.length).forEach(chart => {
+			new ApexCharts(document.getElementById(chart.id), {
+				series: [{ name: ${JSON.stringify(c.noun)}, data: chart.top.map(([value, count]) => count) }],
+				chart: { type: 'bar', height: 400, background: 'transparent', toolbar: { show: false } },
+				plotOptions: { bar: { horizontal: true, distributed: true } },
+				colors: ['#1DB954', '#1ed760', '#00d9ff', '#667eea', '#764ba2', '#f093fb', '#4facfe', '#00f2fe', '#43e97b', '#38f9d7'],
+				xaxis: { categories: chart.top.map(([value]) => value), labels: { style: { colors: '#FFFFFF' } } },
+				yaxis: { labels: { style: { colors: '#FFFFFF' } } },
+				tooltip: { theme: 'dark' },
+				legend: { show: false }
+			}).render();
+		});
+	</script>
+</body>
+</html>`
+	},
+	
+	// Generate HTML for the library dashboard: totals across all the given playlists ({name, csv}), the tracks several of
+	// them share, a heatmap of how much of each playlist falls in the library's top genres, and a table comparing the
+	// playlists, sortable by any column. Columns are found by name, so exports from exportify.net work too.
+	generateLibraryAnalysisHTML(playlists) {
+		let tracks = {} // key -> {name, artists, playlists: Set of indices}
+		let libraryArtists = new Set(), libraryGenres = {}
+		let stats = playlists.map(({name, csv}, j) => {
+			let [headers, ...rows] = CSV.parse(csv)
+			let column = title => { // see the simple analysis page's getColumnIndex
+				let starts = headers.findIndex(header => header.toLowerCase().startsWith(title))
+				return starts >= 0 ? starts : headers.findIndex(header => header.toLowerCase().includes(title))
+			}
+			let [uri, track, artist, genre, duration, popularity, release, explicit] =
+				['track uri', 'track name', 'artist name', 'genres', 'duration', 'popularity', 'release date', 'explicit'].map(column)
+			let artists = {}, genres = {}, years = [], hours = 0, popular = 0, explicits = 0
+			rows = rows.filter(row => row[track])
+			rows.forEach(row => {
+				let key = row[uri] || (row[track] + '|' + row[artist]).toLowerCase() // local files and old exports may lack URIs
+				tracks[key] = tracks[key] || { name: row[track], artists: (row[artist] || '').split(';').join(', '), playlists: new Set() }
+				tracks[key].playlists.add(j)
+				;(row[artist] || '').split(';').filter(a => a).forEach(a => { artists[a] = (artists[a] || 0) + 1; libraryArtists.add(a) })
+				new Set((row[genre] || '').split(',').filter(g => g)).forEach(g => { genres[g] = (genres[g] || 0) + 1 })
+				if (parseInt(row[release])) { years.push(parseInt(row[release])) }
+				hours += (Number(row[duration]) || 0) / 3600000
+				popular += Number(row[popularity]) || 0
+				explicits += row[explicit] == 'true' ? 1 : 0
+			})
+			Object.entries(genres).forEach(([g, count]) => { libraryGenres[g] = (libraryGenres[g] || 0) + count })
+			let top = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || ''
+			years.sort((a, b) => a - b)
+			return { name: name, tracks: rows.length, keys: rows.map(row => row[uri] || (row[track] + '|' + row[artist]).toLowerCase()),
+				artists: Object.keys(artists).length, hours: hours, popularity: rows.length ? popular / rows.length : 0,
+				year: years.length ? years[Math.floor(years.length / 2)] : '', explicit: rows.length ? 100 * explicits / rows.length : 0,
+				topArtist: top(artists), topGenre: top(genres), genres: genres }
+		})
+
+		// What share of each playlist's tracks are also in another
+		stats.forEach(stat => {
+			stat.shared = stat.tracks ? 100 * stat.keys.filter(key => tracks[key].playlists.size > 1).length / stat.tracks : 0
+			delete stat.keys
+		})
+		let shared = Object.values(tracks).filter(t => t.playlists.size > 1).sort((a, b) => b.playlists.size - a.playlists.size)
+		let sharedRows = shared.slice(0, 50).map(t => ({ name: t.name, artists: t.artists, count: t.playlists.size,
+			playlists: [...t.playlists].map(j => stats[j].name).join(', ') }))
+
+		// The fingerprints only have room for the library's top genres and its biggest playlists
+		let topGenres = Object.entries(libraryGenres).sort((a, b) => b[1] - a[1]).slice(0, 12).map(([g]) => g)
+		let fingerprints = [...stats].sort((a, b) => b.tracks - a.tracks).slice(0, 30).reverse().map(stat => ({ name: stat.name,
+			data: topGenres.map(g => ({ x: g, y: stat.tracks ? Math.round(100 * (stat.genres[g] || 0) / stat.tracks) : 0 })) }))
+		stats.forEach(stat => delete stat.genres)
+
+		let total = stats.reduce((sum, stat) => sum + stat.tracks, 0)
+		let cards = [[playlists.length, 'Playlists'], [total, 'Tracks'], [Object.keys(tracks).length, 'Unique Tracks'],
+			[shared.length, 'In Several Playlists'], [libraryArtists.size, 'Artists'], [Object.keys(libraryGenres).length, 'Genres'],
+			[Math.round(stats.reduce((sum, stat) => sum + stat.hours, 0)), 'Hours']]
+		let table = [['name', 'Playlist'], ['tracks', 'Tracks'], ['artists', 'Artists'], ['hours', 'Hours'], ['popularity', 'Avg Popularity'],
+			['year', 'Median Year'], ['explicit', 'Explicit %'], ['shared', 'Shared %'], ['topArtist', 'Top Artist'], ['topGenre', 'Top Genre']]
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>Library - Analysis</title>
+	<link rel="stylesheet" href="styles/artistic-theme.css">
+	<script src="https://cdn.jsdelivr.net/npm/apexcharts"></script>
+	<style>${this.pageStyles}${this.dashboardStyles}
+	</style>
+</head>
+<body>
+	<div class="header">
+		<h1>Your Library</h1>
+		<p>${playlists.length} playlists, ${total} tracks</p>
+	</div>
+	<div class="content">
+		<div class="stat-cards">
+			${cards.map(([value, label]) => `<div class="stat-card">
+				<div class="stat-card-value">${value}</div>
+				<div class="stat-card-label">${label}</div>
+			</div>`).join('')}
+		</div>
+		<div class="chart-container">
+			<div class="chart-title">Genre Fingerprints</div>
+			<div id="fingerprints">${topGenres.length ? '' : '<p class="chart-empty">These files have no genres</p>'}</div>
+		</div>
+		<div class="chart-container">
+			<div class="chart-title">Playlist Comparison</div>
+			<div class="table-wrap"><table>
+				<thead><tr>${table.map(([key, title]) => `<th class="sortable" onclick="sortBy('${key}')">${title}</th>`).join('')}</tr></thead>
+				<tbody id="comparison"></tbody>
+			</table></div>
+		</div>
+		<div class="chart-container">
+			<div class="chart-title">Tracks in Several Playlists${shared.length > 50 ? ' (top 50 of ' + shared.length + ')' : ''}</div>
+			${sharedRows.length ? `<div class="table-wrap"><table>
+				<thead><tr><th>Track</th><th>Artists</th><th>Playlists</th><th></th></tr></thead>
+				<tbody>${sharedRows.map(t => `<tr><td>${this.escapeHtml(t.name)}</td><td>${this.escapeHtml(t.artists)}</td>
+					<td>${t.count}</td><td>${this.escapeHtml(t.playlists)}</td></tr>`).join('')}</tbody>
+			</table></div>` : '<p class="chart-empty">No track is in more than one playlist</p>'}
+		</div>
+	</div>
+	<script>
+		const stats = ${JSON.stringify(stats).replace(/</g, '\\u003c')};
+		const columns = ${JSON.stringify(table.map(([key]) => key))};
+		const fingerprints = ${JSON.stringify(fingerprints).replace(/</g, '\\u003c')};
+		let sorted = { key: 'tracks', descending: true };
+
+		function escapeHtml(text) {
+			if (text == null) return ''; // but 0 is still shown
+			const map = {
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#039;'
+			};
+			return text.toString().replace(/[&<>"']/g, m => map[m]);
+		}
+		const show = (key, value) => ['hours', 'popularity', 'explicit', 'shared'].includes(key) ? value.toFixed(key == 'hours' ? 1 : 0) : value;
+
+		// Click a column once to sort by it, again to flip the order
+		function sortBy(key) {
+			sorted = { key: key, descending: sorted.key == key ? !sorted.descending : key != 'name' };
+			stats.sort((a, b) => {
+				const order = typeof a[key] == 'number' && typeof b[key] == 'number' ? a[key] - b[key] : String(a[key]).localeCompare(String(b[key]));
+				return sorted.descending ? -order : order;
+			});
+			document.getElementById('comparison').innerHTML = stats.map(stat => '<tr>' +
+				columns.map(key => '<td>' + escapeHtml(show(key, stat[key])) + '</td>').join('') + '</tr>').join('');
+		}
+		sorted.key = null;
+		sortBy('tracks');
+
+		if (fingerprints.length && fingerprints[0].data.length) {
+			new ApexCharts(document.getElementById('fingerprints'), {
+				series: fingerprints,
+				chart: { type: 'heatmap', height: Math.max(300, 28 * fingerprints.length + 80), background: 'transparent', toolbar: { show: false } },
+				colors: ['#1DB954'],
+				dataLabels: { enabled: false },
+				xaxis: { labels: { style: { colors: '#FFFFFF' } } },
+				yaxis: { labels: { style: { colors: '#FFFFFF' } } },
+				tooltip: { theme: 'dark', y: { formatter: value => value + '% of its tracks' } },
+				legend: { show: false }
+			}).render();
+		}
+	</script>
+</body>
+</html>`
+	},
+
+	// Generate HTML for the listening dashboard of parsed streaming history plays (see parseStreamingHistory): when you
+	// listen by weekday and hour, plays per day, how often you skip, your most played tracks and artists, and your streaks
+	// of days listening. Only the counts go in the page, not the plays, since years of history can be hundreds of thousands.
+	// A play shorter than 30 seconds counts as a skip, which is where Spotify stops counting it as a stream.
+	generateListeningAnalysisHTML(plays) {
+		let weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+		let hours = weekdays.map(() => new Array(24).fill(0))
+		let days = {}, tracks = {}, artists = {}, skips = 0, ms = 0
+		let pad = n => String(n).padStart(2, '0')
+		plays.forEach(play => {
+			let date = new Date(play.ts) // in the browser's time zone, so the hours are the listener's (if they haven't moved)
+			let day = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate())
+			let skipped = play.ms < 30000
+			hours[date.getDay()][date.getHours()]++
+			days[day] = (days[day] || 0) + 1
+			let key = play.track + '|' + play.artist // not the uri, which the account data's history doesn't have
+			tracks[key] = tracks[key] || { name: play.track, artist: play.artist || '', plays: 0, skips: 0, ms: 0 }
+			tracks[key].plays++
+			tracks[key].skips += skipped ? 1 : 0
+			tracks[key].ms += play.ms
+			if (play.artist) {
+				artists[play.artist] = artists[play.artist] || { name: play.artist, plays: 0, skips: 0, ms: 0 }
+				artists[play.artist].plays++
+				artists[play.artist].skips += skipped ? 1 : 0
+				artists[play.artist].ms += play.ms
+			}
+			skips += skipped ? 1 : 0
+			ms += play.ms
+		})
+
+		// Streaks are runs of consecutive days with at least one play. Counting days from the epoch on their dates keeps
+		// daylight saving from getting in the way.
+		let dates = Object.keys(days).sort()
+		let dayNumber = day => Date.UTC(...day.split('-').map((n, i) => Number(n) - (i == 1 ? 1 : 0))) / 86400000
+		let longest = { length: 0 }, run = null
+		dates.forEach(day => {
+			run = run && dayNumber(day) == dayNumber(run.end) + 1 ? { start: run.start, end: day, length: run.length + 1 } : { start: day, end: day, length: 1 }
+			if (run.length > longest.length) longest = run
+		})
+		let current = run // the run the history ends in
+
+		let top = counts => Object.values(counts).sort((a, b) => b.plays - a.plays || b.ms - a.ms).slice(0, 25)
+			.map(item => ({ ...item, minutes: Math.round(item.ms / 60000), skipRate: Math.round(100 * item.skips / item.plays) }))
+		let data = {
+			hours: weekdays.map((name, d) => ({ name: name, data: hours[d].map((count, h) => ({ x: pad(h) + ':00', y: count })) })).reverse(),
+			days: dates.map(day => [dayNumber(day) * 86400000, days[day]]),
+			tracks: top(tracks),
+			artists: top(artists)
+		}
+		let cards = [[plays.length, 'Plays'], [Math.round(ms / 3600000), 'Hours'], [Object.keys(tracks).length, 'Tracks'],
+			[Object.keys(artists).length, 'Artists'], [Math.round(100 * skips / plays.length) + '%', 'Skipped'],
+			[dates.length, 'Days Listening'], [longest.length, 'Longest Streak'], [current.length, 'Last Streak']]
+		let table = (items, columns) => `<div class="table-wrap"><table>
+				<thead><tr><th>#</th>${columns.map(([, title]) => `<th>${title}</th>`).join('')}</tr></thead>
+				<tbody>${items.map((item, i) => `<tr><td>${i + 1}</td>${columns.map(([key]) => `<td>${this.escapeHtml(item[key])}</td>`).join('')}</tr>`).join('')}</tbody>
+			</table></div>`
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>Listening History - Analysis</title>
+	<link rel="stylesheet" href="styles/artistic-theme.css">
+	<script src="https://cdn.jsdelivr.net/npm/apexcharts"></script>
+	<style>${this.pageStyles}${this.dashboardStyles}
+	</style>
+</head>
+<body>
+	<div class="header">
+		<h1>Your Listening</h1>
+		<p>${dates[0]} to ${dates[dates.length - 1]}</p>
+	</div>
+	<div class="content">
+		<div class="stat-cards">
+			${cards.map(([value, label]) => `<div class="stat-card">
+				<div class="stat-card-value">${value}</div>
+				<div class="stat-card-label">${label}</div>
+			</div>`).join('')}
+		</div>
+		<div class="chart-container">
+			<div class="chart-title">When You Listen</div>
+			<p class="chart-note">Plays by weekday and hour, in this browser's time zone</p>
+			<div id="hourChart"></div>
+		</div>
+		<div class="chart-container">
+			<div class="chart-title">Plays per Day</div>
+			<p class="chart-note">Longest streak: ${longest.length} days, ${longest.start} to ${longest.end}</p>
+			<div id="dayChart"></div>
+		</div>
+		<div class="chart-grid">
+			<div class="chart-container">
+				<div class="chart-title">Most Played Tracks</div>
+				${table(data.tracks, [['name', 'Track'], ['artist', 'Artist'], ['plays', 'Plays'], ['minutes', 'Minutes'], ['skipRate', 'Skip %']])}
+			</div>
+			<div class="chart-container">
+				<div class="chart-title">Most Played Artists</div>
+				${table(data.artists, [['name', 'Artist'], ['plays', 'Plays'], ['minutes', 'Minutes'], ['skipRate', 'Skip %']])}
+			</div>
+		</div>
+	</div>
+	<script>
+		const data = ${JSON.stringify({ hours: data.hours, days: data.days }).replace(/</g, '\\u003c')};
+
+		new ApexCharts(document.getElementById('hourChart'), {
+			series: data.hours,
+			chart: { type: 'heatmap', height: 350, background: 'transparent', toolbar: { show: false } },
+			colors: ['#1DB954'],
+			dataLabels: { enabled: false },
+			xaxis: { labels: { style: { colors: '#FFFFFF' } } },
+			yaxis: { labels: { style: { colors: '#FFFFFF' } } },
+			tooltip: { theme: 'dark', y: { formatter: value => value + ' plays' } },
+			legend: { show: false }
+		}).render();
+
+		new ApexCharts(document.getElementById('dayChart'), {
+			series: [{ name: 'Plays', data: data.days }],
+			chart: { type: 'area', height: 350, background: 'transparent', toolbar: { show: false }, zoom: { enabled: true } },
+			colors: ['#1DB954'],
+			fill: {
+				type: 'gradient',
+				gradient: {
+					shade: 'dark',
+					type: 'vertical',
+					shadeIntensity: 0.5,
+					gradientToColors: ['#00D4FF'],
+					opacityFrom: 0.8,
+					opacityTo: 0.2,
+					stops: [0, 100]
+				}
+			},
+			dataLabels: { enabled: false },
+			stroke: { curve: 'straight', width: 1 },
+			xaxis: { type: 'datetime', labels: { style: { colors: '#FFFFFF' }, datetimeUTC: true } },
+			yaxis: { labels: { style: { colors: '#FFFFFF' } } },
+			tooltip: { theme: 'dark', x: { format: 'ddd d MMM yyyy' } }
+		}).render();
+	</script>
+</body>
+</html>`
+	},
+
+	// Generate HTML for the duplicates report: one card per group found by duplicateGroups, listing where each copy is.
+	// Later copies of the same track or ISRC in the same playlist are ticked for removal to start with; look-alikes and
+	// copies in other playlists are left alone unless picked, since having a song in more than one playlist is often on purpose. Removal goes through
+	// the opener's PlaylistExporter, like the full dashboard's Save as Playlist.
+	generateDuplicatesHTML(title, playlists, groups) {
+		const reasons = { uri: 'Same track', isrc: 'Same recording, different release', similar: 'Same name and artist, similar length' }
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>${this.escapeHtml(title)} - Duplicates</title>
+	<link rel="stylesheet" href="styles/artistic-theme.css">
+	<style>${this.pageStyles}
+		.toolbar {
+			display: flex;
+			align-items: center;
+			gap: 15px;
+			margin-bottom: 25px;
+		}
+		.remove-btn {
+			background: #1DB954;
+			color: #000000;
+			border: none;
+			border-radius: 500px;
+			padding: 12px 28px;
+			font-weight: 700;
+			cursor: pointer;
+		}
+		.remove-btn:disabled {
+			opacity: 0.5;
+			cursor: default;
+		}
+		.remove-status {
+			color: rgba(255, 255, 255, 0.7);
+		}
+		.group {
+			background: #1a1a1a;
+			border-radius: 16px;
+			padding: 20px 30px;
+			margin-bottom: 15px;
+			box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+			border: 1px solid rgba(255, 255, 255, 0.05);
+		}
+		.group-reason {
+			font-size: 12px;
+			color: #1DB954;
+			text-transform: uppercase;
+			letter-spacing: 0.1em;
+			font-weight: 600;
+			margin-bottom: 10px;
+		}
+		table {
+			width: 100%;
+			border-collapse: collapse;
+		}
+		td {
+			padding: 6px 10px;
+			border-top: 1px solid rgba(255, 255, 255, 0.05);
+		}
+		td.muted, tr.removed td {
+			color: rgba(255, 255, 255, 0.4);
+		}
+		tr.removed td {
+			text-decoration: line-through;
+		}
+		.empty {
+			text-align: center;
+			color: rgba(255, 255, 255, 0.5);
+			padding: 40px;
+		}
+	</style>
+</head>
+<body>
+	<div class="header">
+		<h1>${this.escapeHtml(title)}</h1>
+		<p>${groups.length} ${groups.length == 1 ? 'song' : 'songs'} found more than once</p>
+	</div>
+	<div class="content">
+		${groups.length ? `<div class="toolbar">
+			<button class="remove-btn" id="removeBtn" onclick="removeChecked()">Remove Ticked</button>
+			<span class="remove-status" id="removeStatus"></span>
+		</div>` : '<p class="empty">No duplicates here</p>'}
+		${groups.map((group, g) => `<div class="group">
+			<div class="group-reason">${reasons[group.reason]}</div>
+			<table>${group.entries.map((entry, e) => `<tr id="entry${g}_${e}">
+				<td>${playlists[entry.playlist].writable ? `<input type="checkbox" data-group="${g}" data-entry="${e}"${
+					group.entries.slice(0, e).some(other => other.playlist == entry.playlist &&
+						(other.uri == entry.uri || (entry.isrc && other.isrc == entry.isrc))) ? ' checked' : ''}>` : ''}</td>
+				<td>${this.escapeHtml(entry.name)}</td>
+				<td>${this.escapeHtml(entry.artists.split(';').join(', '))}</td>
+				<td class="muted">${Math.floor(entry.duration / 60000)}:${String(Math.round(entry.duration / 1000) % 60).padStart(2, '0')}</td>
+				<td>${this.escapeHtml(playlists[entry.playlist].name)} <span class="muted">#${entry.position + 1}</span></td>
+				<td class="muted"><tt>${this.escapeHtml(entry.uri)}</tt></td>
+			</tr>`).join('')}</table>
+		</div>`).join('')}
+	</div>
+	<script>
+		const playlists = ${JSON.stringify(playlists).replace(/</g, '\\u003c')};
+		const groups = ${JSON.stringify(groups).replace(/</g, '\\u003c')};
+
+		// Remove the ticked copies, one playlist at a time. Positions are as of each playlist's snapshot, so once some are
+		// gone, the ones after them move up to match the new snapshot.
+		async function removeChecked() {
+			const button = document.getElementById('removeBtn');
+			const status = document.getElementById('removeStatus');
+			const exporter = window.opener && !window.opener.closed && window.opener.PlaylistExporter;
+			if (!exporter || !window.opener.localStorage.getItem('access_token')) {
+				status.textContent = 'Removing needs the Nexporify tab that opened this page, still signed in.';
+				return;
+			}
+			const ticked = [...document.querySelectorAll('input[type=checkbox]:checked')].map(box =>
+				({ box: box, entry: groups[box.dataset.group].entries[box.dataset.entry] }));
+			if (!ticked.length) { status.textContent = 'Tick the copies to remove first.'; return; }
+			if (!confirm('Remove ' + ticked.length + ' ' + (ticked.length == 1 ? 'copy' : 'copies') + ' from Spotify? This can\\'t be undone here.')) return;
+
+			button.disabled = true;
+			let removed = 0;
+			try {
+				for (const j of new Set(ticked.map(({entry}) => entry.playlist))) {
+					const mine = ticked.filter(({entry}) => entry.playlist == j);
+					status.textContent = 'Removing from ' + playlists[j].name + '...';
+					playlists[j].snapshot_id = await exporter.removePlaylistItems(playlists[j].id, playlists[j].snapshot_id,
+						mine.map(({entry}) => ({ uri: entry.uri, position: entry.position })));
+					const gone = mine.map(({entry}) => entry.position);
+					mine.forEach(({box}) => { box.closest('tr').className = 'removed'; box.remove(); });
+					groups.forEach(group => group.entries.forEach(entry => {
+						if (entry.playlist == j && !gone.includes(entry.position)) { entry.position -= gone.filter(p => p < entry.position).length; }
+					}));
+					removed += mine.length;
 				}
+				status.textContent = '✓ Removed ' + removed + ' ' + (removed == 1 ? 'copy' : 'copies') + '.';
+			} catch (e) {
+				status.textContent = '✗ ' + e.message + (removed ? ' (' + removed + ' removed before that)' : '');
+			} finally {
+				button.disabled = false;
 			}
-		}).render();
-		
-		// Helper to escape HTML
+		}
+	</script>
+</body>
+</html>`
+	},
+
+	// Generate HTML for a playlist's History page, which compares any two of its stored snapshots (see snapshots). Tracks
+	// are matched by URI, counting copies, so a track added twice and removed once shows up once. Added tracks say who added
+	// them; removed ones say who had added them, since Spotify doesn't record who removes tracks.
+	generateHistoryHTML(playlist, list) {
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<title>${this.escapeHtml(playlist.name)} - History</title>
+	<link rel="stylesheet" href="styles/artistic-theme.css">
+	<style>${this.pageStyles}
+		.toolbar {
+			display: flex;
+			flex-wrap: wrap;
+			align-items: center;
+			gap: 15px;
+			margin-bottom: 25px;
+		}
+		select, .download-btn {
+			background: #1a1a1a;
+			color: #FFFFFF;
+			border: 1px solid rgba(255, 255, 255, 0.2);
+			border-radius: 500px;
+			padding: 10px 20px;
+		}
+		.download-btn {
+			background: #1DB954;
+			color: #000000;
+			border: none;
+			font-weight: 700;
+			cursor: pointer;
+		}
+		.summary {
+			color: rgba(255, 255, 255, 0.7);
+			margin-bottom: 15px;
+		}
+		table {
+			width: 100%;
+			border-collapse: collapse;
+			background: #1a1a1a;
+			border-radius: 16px;
+			overflow: hidden;
+		}
+		th, td {
+			padding: 8px 12px;
+			text-align: left;
+			border-top: 1px solid rgba(255, 255, 255, 0.05);
+		}
+		th {
+			font-size: 12px;
+			color: rgba(255, 255, 255, 0.5);
+			text-transform: uppercase;
+			letter-spacing: 0.1em;
+		}
+		.added {
+			color: #1DB954;
+		}
+		.removed {
+			color: #ff6b6b;
+		}
+		.empty {
+			text-align: center;
+			color: rgba(255, 255, 255, 0.5);
+			padding: 40px;
+		}
+	</style>
+</head>
+<body>
+	<div class="header">
+		<h1>${this.escapeHtml(playlist.name)}</h1>
+		<p>${list.length} ${list.length == 1 ? 'snapshot' : 'snapshots'} exported from this browser</p>
+	</div>
+	<div class="content">
+		${list.length < 2 ? `<p class="empty">${list.length ? 'Only one export so far. Export this playlist again after it changes to see what changed.' :
+			'No exports yet. Export this playlist to start its history.'}</p>` : `<div class="toolbar">
+			<label>From <select id="from" onchange="showDiff()"></select></label>
+			<label>to <select id="to" onchange="showDiff()"></select></label>
+			<button class="download-btn" onclick="downloadDiff()">Download Diff CSV</button>
+		</div>
+		<div class="summary" id="summary"></div>
+		<table>
+			<thead><tr><th>Change</th><th>Track</th><th>Artists</th><th>Album</th><th>Added By</th><th>Added At</th></tr></thead>
+			<tbody id="changes"></tbody>
+		</table>`}
+	</div>
+	<script>
+		const snapshots = ${JSON.stringify(list).replace(/</g, '\\u003c')};
+		const fileName = ${JSON.stringify(this.fileName(playlist)).replace(/</g, '\\u003c')};
+		const CSV = { ${CSV.field}, ${CSV.stringify} }; // the main page's csv writer
+		let changes = [];
+
 		function escapeHtml(text) {
-			if (!text) return '';
-			const div = document.createElement('div');
-			div.textContent = text;
-			return div.innerHTML;
+			if (text == null) return ''; // but 0 is still shown
+			const map = {
+				'&': '&amp;',
+				'<': '&lt;',
+				'>': '&gt;',
+				'"': '&quot;',
+				"'": '&#039;'
+			};
+			return text.toString().replace(/[&<>"']/g, m => map[m]);
 		}
-		
-		// Track Table
-		const trackTable = document.getElementById('trackTable');
-		if (trackTable) {
-			let tableHTML = '<div style="overflow-x: auto;"><table style="width: 100%; border-collapse: collapse;">';
-			tableHTML += '<thead><tr style="border-bottom: 2px solid var(--accent-primary);">';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">#</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Track</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Artist</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Album</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Release</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Duration</th>';
-			tableHTML += '<th style="padding: 16px; text-align: left; color: var(--text-primary); font-weight: 700; text-transform: uppercase; font-size: 12px; letter-spacing: 0.1em;">Popularity</th>';
-			tableHTML += '</tr></thead><tbody>';
-			
-			processedData.forEach((track, i) => {
-				const duration = Math.floor(track.duration / 60000) + ':' + String(Math.floor((track.duration % 60000) / 1000)).padStart(2, '0');
-				tableHTML += '<tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.05); transition: background 0.2s ease;" onmouseover="this.style.background=\\'rgba(29, 185, 84, 0.1)\\'" onmouseout="this.style.background=\\'transparent\\'">';
-				tableHTML += '<td style="padding: 14px; color: var(--text-tertiary);">' + (i + 1) + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-primary); font-weight: 600;">' + escapeHtml(track.trackName || '-') + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + escapeHtml(track.artist || '-') + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + escapeHtml(track.album || '-') + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + (track.releaseDate || '-') + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + duration + '</td>';
-				tableHTML += '<td style="padding: 14px; color: var(--text-secondary);">' + track.popularity + '</td>';
-				tableHTML += '</tr>';
-			});
-			
-			tableHTML += '</tbody></table></div>';
-			trackTable.innerHTML = tableHTML;
+
+		// Tracks in one list but not the other, copy for copy
+		function missingFrom(tracks, others) {
+			const counts = {};
+			others.forEach(track => { counts[track.uri] = (counts[track.uri] || 0) + 1; });
+			return tracks.filter(track => track.uri && !(counts[track.uri]-- > 0));
+		}
+
+		function showDiff() {
+			const from = snapshots[document.getElementById('from').value];
+			const to = snapshots[document.getElementById('to').value];
+			changes = [...missingFrom(to.tracks, from.tracks).map(track => ({ change: 'added', ...track })),
+				...missingFrom(from.tracks, to.tracks).map(track => ({ change: 'removed', ...track }))];
+			const added = changes.filter(c => c.change == 'added').length;
+			document.getElementById('summary').textContent = added + ' added, ' + (changes.length - added) + ' removed (' +
+				from.tracks.length + ' tracks before, ' + to.tracks.length + ' after)';
+			document.getElementById('changes').innerHTML = changes.length ? changes.map(c => '<tr><td class="' + c.change + '">' + c.change +
+				'</td><td>' + escapeHtml(c.name) + '</td><td>' + escapeHtml(c.artists.split(';').join(', ')) + '</td><td>' + escapeHtml(c.album) +
+				'</td><td>' + escapeHtml(c.added_by) + '</td><td>' + escapeHtml(c.added_at) + '</td></tr>').join('') :
+				'<tr><td colspan="6" class="empty">No changes</td></tr>';
+		}
+
+		// The columns match exports' names, so a diff can be uploaded to restore what was removed
+		function downloadDiff() {
+			const csv = CSV.stringify([['Change', 'Track URI', 'Track Name', 'Artist Name(s)', 'Album Name', 'Added By', 'Added At'],
+				...changes.map(c => [c.change, c.uri, c.name, c.artists, c.album, c.added_by, c.added_at])], [false, false, true, true, true]);
+			const link = document.createElement('a');
+			link.href = URL.createObjectURL(new Blob(['\\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }));
+			link.download = fileName + '_diff.csv';
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+		}
+
+		if (snapshots.length > 1) {
+			const options = snapshots.map((snapshot, i) => '<option value="' + i + '">' + new Date(snapshot.time).toLocaleString() +
+				' (' + snapshot.tracks.length + ' tracks)</option>').join('');
+			document.getElementById('from').innerHTML = options;
+			document.getElementById('to').innerHTML = options;
+			document.getElementById('from').value = snapshots.length - 2;
+			document.getElementById('to').value = snapshots.length - 1;
+			showDiff();
 		}
 	</script>
 </body>
-</html>`;
+</html>`
 	},
-	
-	// Generate HTML for full analysis page (with audio features)
-	generateAnalysisHTML(playlist, csv) {
-		// Parse CSV into rows
-		let lines = csv.trim().split('\n')
-		let headers = lines[0].split(',')
-		let rows = lines.slice(1).map(line => {
-			// Handle CSV parsing with quoted fields
-			let result = []
-			let current = ''
-			let inQuotes = false
-			for (let i = 0; i < line.length; i++) {
-				let char = line[i]
-				if (char === '"') {
-					if (inQuotes && line[i + 1] === '"') {
-						current += '"'
-						i++ // skip next quote
-					} else {
-						inQuotes = !inQuotes
-					}
-				} else if (char === ',' && !inQuotes) {
-					result.push(current)
-					current = ''
-				} else {
-					current += char
-				}
-			}
-			result.push(current) // push last field
-			return result
+
+	// Count what the analysis page's header shows: its rows, how many are podcast episodes and local files, and how many
+	// distinct artists, albums and genres the rest (songs) have. Episodes and local files aren't counted as songs, since
+	// they have no Spotify artists, albums or genres. Exports made before the Item Type column only ever held songs. Takes
+	// trimmed rows. The upload worker runs this too (see uploadWorker), so it has to stand alone.
+	analysisSummary(headers, rows) {
+		let [itemType, artist, album, genre] = ['Item Type', 'Artist Name(s)', 'Album Name', 'Genres'].map(header => headers.indexOf(header))
+		let summary = { rows: rows.length, episodes: 0, locals: 0 }
+		let artists = new Set(), albums = new Set(), genres = new Set()
+		rows.forEach(row => {
+			let type = (itemType >= 0 && row[itemType]) || 'track'
+			if (type == 'episode') { summary.episodes++ }
+			if (type == 'local') { summary.locals++ }
+			if (type != 'track') { return }
+			;(row[artist] || '').split(';').map(a => a.trim()).filter(a => a).forEach(a => artists.add(a))
+			if (row[album]) { albums.add(row[album]) }
+			;(row[genre] || '').split(',').map(g => g.trim()).filter(g => g).forEach(g => genres.add(g))
 		})
+		return { ...summary, artists: artists.size, albums: albums.size, genres: genres.size }
+	},
 
-		// Format duration from ms to mm:ss
-		let formatDuration = (ms) => {
-			if (!ms) return ''
-			let seconds = Math.floor(ms / 1000)
-			let minutes = Math.floor(seconds / 60)
-			seconds = seconds % 60
-			return minutes + ':' + (seconds < 10 ? '0' : '') + seconds
-		}
-
-		// Format date to just year if available
-		let formatDate = (dateStr) => {
-			if (!dateStr) return ''
-			return dateStr.split('-')[0] // just the year
-		}
-
-		// Clean up field values (remove quotes)
-		let cleanValue = (val) => {
-			if (!val) return ''
-			return val.toString().replace(/^"|"$/g, '').trim()
-		}
-
-		// Prepare data for JavaScript (raw values for sorting/filtering)
-		let rawData = rows.map(row => row.map(cell => cleanValue(cell)))
-
-		// Build table rows HTML
-		let tableRows = rows.map(row => {
-			let cells = row.map((cell, idx) => {
-				let value = cleanValue(cell)
-				// Format specific columns
-				if (headers[idx] === 'Duration (ms)') {
-					value = formatDuration(parseInt(value) || 0)
-				} else if (headers[idx] === 'Release Date') {
-					value = formatDate(value)
-				} else if (headers[idx] === 'Explicit') {
-					value = value === 'true' ? '✓' : ''
-				} else if (headers[idx] === 'Popularity') {
-					value = value || '0'
-				}
-				return `<td>${this.escapeHtml(value)}</td>`
-			}).join('')
-			return `<tr>${cells}</tr>`
-		}).join('')
+	// Work out everything the full analysis page's charts draw from trimmed rows: feature averages, histogram buckets,
+	// counts of years, artists, genres, albums and labels, the top tracks by each feature, and an evenly spread sample of
+	// at most 2000 tracks for the scatter plots, which draw a shape per point and so don't scale to whole libraries. Like
+	// analysisSummary, the upload worker runs this, so whole libraries are counted off the page, and it has to stand alone.
+	analysisCharts(headers, rows) {
+		// Columns are found by name, ignoring quotes and case. Anything missing or unreadable is '' or 0.
+		let column = name => headers.findIndex(header => header.replace(/^"|"$/g, '').toLowerCase() == name.toLowerCase())
+		let text = (row, j) => j < 0 ? '' : (row[j] || '').replace(/^"|"$/g, '')
+		let number = (row, j) => j < 0 ? 0 : parseFloat(row[j]) || 0
+		let [uri, name, album, artist, released, duration, popularity, explicit, added, genres, label, danceability, energy, valence,
+			tempo, key, loudness, acousticness, instrumentalness, speechiness, liveness, isrc, upc, albumType, itemType] = ['Track URI',
+			'Track Name', 'Album Name', 'Artist Name(s)', 'Release Date', 'Duration (ms)', 'Popularity', 'Explicit', 'Added At',
+			'Genres', 'Record Label', 'Danceability', 'Energy', 'Valence', 'Tempo', 'Key', 'Loudness', 'Acousticness',
+			'Instrumentalness', 'Speechiness', 'Liveness', 'ISRC', 'UPC', 'Album Type', 'Item Type'].map(column)
+		let tracks = rows.map(row => ({
+			trackUri: text(row, uri), trackName: text(row, name), albumName: text(row, album), artist: text(row, artist),
+			releaseDate: text(row, released), duration: number(row, duration), popularity: number(row, popularity),
+			explicit: text(row, explicit).toLowerCase() == 'true', addedAt: text(row, added), genres: text(row, genres),
+			recordLabel: text(row, label), danceability: number(row, danceability), energy: number(row, energy),
+			valence: number(row, valence), tempo: number(row, tempo), key: Math.round(number(row, key)), loudness: number(row, loudness),
+			acousticness: number(row, acousticness), instrumentalness: number(row, instrumentalness),
+			speechiness: number(row, speechiness), liveness: number(row, liveness), isrc: text(row, isrc), upc: text(row, upc),
+			albumType: text(row, albumType), itemType: text(row, itemType) || 'track'
+		}))
+		let songs = tracks.filter(t => t.itemType == 'track') // episodes and local files have no Spotify artists or genres
+
+		let count = (counts, key) => { counts[key] = (counts[key] || 0) + 1 }
+		let top = (counts, n) => Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n)
+		let bucket = (ranges, feature) => ranges.map(([label, min, max]) => [label, tracks.filter(t => t[feature] >= min && t[feature] < max).length])
+		let ranked = (order, among=tracks) => [...among].sort(order).slice(0, 5)
+		let artists = {}, genreCounts = {}, albums = {}, labels = {}, years = {}, decades = {}, additions = {}, popularities = {}, albumTypes = {}
+		let keys = new Array(12).fill(0)
+		songs.forEach(t => {
+			t.artist.split(';').map(a => a.trim()).filter(a => a).forEach(a => count(artists, a))
+			t.genres.split(',').map(g => g.trim()).filter(g => g).forEach(g => count(genreCounts, g))
+		})
+		tracks.forEach(t => {
+			let year = t.releaseDate.split('-')[0]
+			count(years, year || 'Unknown')
+			if (parseInt(year)) { count(decades, Math.floor(parseInt(year) / 10) * 10 + 's') }
+			if (!isNaN(parseInt(year))) { (popularities[year] = popularities[year] || []).push(t.popularity) }
+			if (t.addedAt) { count(additions, new Date(t.addedAt).getFullYear()) }
+			if (t.key >= 0 && t.key < 12) { keys[t.key]++ }
+			if (t.albumName.trim()) { count(albums, t.albumName) }
+			if (t.recordLabel.trim()) { count(labels, t.recordLabel) }
+			if (t.albumType) { count(albumTypes, t.albumType) }
+		})
+
+		return {
+			tracks: tracks.length,
+			songs: songs.length,
+			averages: Object.fromEntries(['danceability', 'energy', 'valence', 'acousticness', 'instrumentalness', 'speechiness',
+				'liveness', 'tempo', 'popularity'].map(feature => [feature, tracks.reduce((sum, t) => sum + t[feature], 0) / tracks.length])),
+			sample: (tracks.length <= 2000 ? tracks : Array.from({ length: 2000 }, (_, i) => tracks[Math.floor(i * tracks.length / 2000)]))
+				.map(t => ({ trackName: t.trackName, artist: t.artist, energy: t.energy, valence: t.valence, danceability: t.danceability,
+					acousticness: t.acousticness, tempo: t.tempo })),
+			tempos: bucket([['60-80', 60, 80], ['80-100', 80, 100], ['100-120', 100, 120], ['120-140', 120, 140], ['140-160', 140, 160],
+				['160+', 160, Infinity]], 'tempo'),
+			durations: bucket([['0-2 min', 0, 120000], ['2-4 min', 120000, 240000], ['4-6 min', 240000, 360000], ['6-8 min', 360000, 480000],
+				['8+ min', 480000, Infinity]], 'duration'),
+			keys: keys,
+			years: years,
+			decades: decades,
+			additions: additions,
+			popularity: Object.fromEntries(Object.entries(popularities).map(([year, values]) => [year, values.reduce((a, b) => a + b, 0) / values.length])),
+			artists: { distinct: Object.keys(artists).length, most: Object.values(artists).reduce((a, b) => Math.max(a, b), 0), top: top(artists, 15) },
+			genres: top(genreCounts, 10),
+			albums: top(albums, 10),
+			labels: top(labels, 10),
+			albumTypes: albumTypes,
+			explicit: tracks.filter(t => t.explicit).length,
+			isrcs: tracks.filter(t => t.isrc).length,
+			upcs: tracks.filter(t => t.upc).length,
+			top: {
+				danceability: ranked((a, b) => b.danceability - a.danceability),
+				energy: ranked((a, b) => b.energy - a.energy),
+				loudness: ranked((a, b) => b.loudness - a.loudness, tracks.filter(t => t.loudness)), // 0 means it's missing
+				acousticness: ranked((a, b) => b.acousticness - a.acousticness),
+				valence: ranked((a, b) => b.valence - a.valence),
+				leastValence: ranked((a, b) => a.valence - b.valence)
+			}
+		}
+	},
+
+	// Generate HTML for full analysis page (with audio features)
+	generateAnalysisHTML(playlist, csv, parsed=null) {
+		// Parse CSV into rows, trimmed, and count them, unless an uploadWorker already has (see analyzeFromUpload): then
+		// parsed has the headers, the rows as JSON, their analysisSummary and their analysisCharts
+		if (!parsed) {
+			let [headers, ...rows] = CSV.parse(csv)
+			rows = rows.map(row => row.map(cell => (cell || '').toString().trim()))
+			parsed = { headers: headers, data: JSON.stringify(rows), summary: this.analysisSummary(headers, rows), charts: this.analysisCharts(headers, rows) }
+		}
+		let { headers, data, summary, charts } = parsed
 
 		// Build table headers HTML with sorting capability
 		let tableHeaders = headers.map((header, idx) => {
@@ -1745,32 +4483,6 @@ let PlaylistExporter = {
 			? playlist.images[0].url 
 			: 'https://placehold.co/300x300?text=No+Image'
 		
-		// Calculate statistics
-		let uniqueArtists = new Set()
-		let uniqueAlbums = new Set()
-		let uniqueGenres = new Set()
-		rows.forEach(row => {
-			// Artists
-			let artistStr = cleanValue(row[headers.indexOf('Artist Name(s)')])
-			if (artistStr) {
-				artistStr.split(';').forEach(a => {
-					let artist = a.trim()
-					if (artist) uniqueArtists.add(artist)
-				})
-			}
-			// Albums
-			let album = cleanValue(row[headers.indexOf('Album Name')])
-			if (album) uniqueAlbums.add(album)
-			// Genres
-			let genreStr = cleanValue(row[headers.indexOf('Genres')])
-			if (genreStr) {
-				genreStr.split(',').forEach(g => {
-					let genre = g.trim()
-					if (genre) uniqueGenres.add(genre)
-				})
-			}
-		})
-
 		return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1885,6 +4597,22 @@ let PlaylistExporter = {
 			overflow-x: auto;
 			max-height: calc(100vh - 200px);
 		}
+		.table-more {
+			margin-top: 20px;
+			text-align: center;
+			color: var(--text-tertiary);
+			font-size: 14px;
+		}
+		.table-more-button {
+			margin-left: 10px;
+			padding: 6px 14px;
+			background: transparent;
+			color: var(--accent-primary);
+			border: 1px solid var(--accent-primary);
+			border-radius: 500px;
+			cursor: pointer;
+			font-family: inherit;
+		}
 		.table-wrapper {
 			background: var(--bg-elevated);
 			border-radius: 20px;
@@ -2201,6 +4929,27 @@ let PlaylistExporter = {
 		.export-btn-json:hover {
 			box-shadow: 0 0 20px rgba(0, 212, 255, 0.4);
 		}
+		.export-btn-playlist {
+			border-color: var(--accent-magenta);
+		}
+		.export-btn-playlist::before {
+			background: linear-gradient(135deg, var(--accent-magenta) 0%, #cc00cc 100%);
+		}
+		.export-btn-playlist:hover {
+			box-shadow: 0 0 20px rgba(255, 0, 229, 0.4);
+		}
+		.export-btn:disabled {
+			opacity: 0.5;
+			cursor: wait;
+		}
+		.save-status {
+			text-align: center;
+			margin-top: 15px;
+			color: var(--text-secondary);
+		}
+		.save-status a {
+			color: var(--accent-primary);
+		}
 		.track-list {
 			background: var(--bg-elevated);
 			border-radius: 20px;
@@ -2319,21 +5068,29 @@ let PlaylistExporter = {
 		<div class="summary-section" style="padding: 40px 0;">
 			<div class="stat-cards">
 				<div class="stat-card">
-					<div class="stat-card-value">${rows.length}</div>
+					<div class="stat-card-value">${summary.rows - summary.episodes - summary.locals}</div>
 					<div class="stat-card-label">Songs</div>
 				</div>
 				<div class="stat-card">
-					<div class="stat-card-value">${uniqueArtists.size}</div>
+					<div class="stat-card-value">${summary.artists}</div>
 					<div class="stat-card-label">Artists</div>
 				</div>
 				<div class="stat-card">
-					<div class="stat-card-value">${uniqueAlbums.size}</div>
+					<div class="stat-card-value">${summary.albums}</div>
 					<div class="stat-card-label">Albums</div>
 				</div>
 				<div class="stat-card">
-					<div class="stat-card-value">${uniqueGenres.size}</div>
+					<div class="stat-card-value">${summary.genres}</div>
 					<div class="stat-card-label">Genres</div>
 				</div>
+				${summary.episodes > 0 ? `<div class="stat-card">
+					<div class="stat-card-value">${summary.episodes}</div>
+					<div class="stat-card-label">Podcast Episodes</div>
+				</div>` : ''}
+				${summary.locals > 0 ? `<div class="stat-card">
+					<div class="stat-card-value">${summary.locals}</div>
+					<div class="stat-card-label">Local Files</div>
+				</div>` : ''}
 			</div>
 			<div class="export-buttons">
 				<button class="export-btn export-btn-csv" onclick="exportToCSV()">
@@ -2342,7 +5099,11 @@ let PlaylistExporter = {
 				<button class="export-btn export-btn-json" onclick="exportToJSON()">
 					Export as JSON
 				</button>
+				<button class="export-btn export-btn-playlist" id="saveAsPlaylistBtn" onclick="saveAsPlaylist()" title="Save the rows the table shows right now, in their current order, as a new Spotify playlist">
+					Save as Playlist
+				</button>
 			</div>
+			<div id="saveAsPlaylistStatus" class="save-status"></div>
 		</div>
 		<div class="visualizations" style="padding: 60px 0;">
 			<section id="audio-features" class="viz-section">
@@ -2431,6 +5192,10 @@ let PlaylistExporter = {
 						<div class="chart-title">Explicit Content Breakdown</div>
 						<div id="explicitContent" class="chart-wrapper"></div>
 					</div>
+					<div class="chart-container">
+						<div class="chart-title">Release Types</div>
+						<div id="albumTypes" class="chart-wrapper"></div>
+					</div>
 					<div class="chart-container" style="grid-column: 1 / -1;">
 						<div class="chart-title">Average Audio Features</div>
 						<div class="stat-cards" id="avgFeatures"></div>
@@ -2496,22 +5261,25 @@ let PlaylistExporter = {
 						<tr>${tableHeaders}</tr>
 						<tr class="filter-row">${filterRow}</tr>
 					</thead>
-					<tbody id="tableBody">
-						${tableRows}
-					</tbody>
+					<tbody id="tableBody"></tbody>
 				</table>
 			</div>
+			<div class="table-more" id="tableMore"></div>
 		</div>
 	</div>
 	<script>
 		// Store original data
-		const originalData = ${JSON.stringify(rawData)};
+		const originalData = ${data.replace(/</g, '\\u003c')};
 		const headers = ${JSON.stringify(headers)};
+		const charts = ${JSON.stringify(charts).replace(/</g, '\\u003c')}; // what the charts draw, counted already (see analysisCharts)
+		const CSV = { ${CSV.field}, ${CSV.stringify} }; // the main page's csv writer
+		const playlistName = ${JSON.stringify(playlist.name).replace(/</g, '\\u003c')};
 		let currentData = [...originalData];
 		let sortColumn = -1;
 		let sortDirection = 'none';
+		let shownRows = 500; // whole libraries have too many rows to draw at once, so the table grows on request
 
-		// Format functions (same as in HTML generation)
+		// Format functions for the table's cells
 		function formatDuration(ms) {
 			if (!ms) return '';
 			const seconds = Math.floor(parseInt(ms) / 1000);
@@ -2547,7 +5315,7 @@ let PlaylistExporter = {
 			const header = headers[columnIndex];
 			const isNumeric = ['Duration (ms)', 'Popularity', 'Danceability', 'Energy', 'Key', 'Loudness', 
 				'Mode', 'Speechiness', 'Acousticness', 'Instrumentalness', 'Liveness', 'Valence', 
-				'Tempo', 'Time Signature'].includes(header);
+				'Tempo', 'Time Signature', 'Track Number', 'Disc Number', 'Album Total Tracks', 'Rank'].includes(header);
 
 			if (sortColumn === columnIndex) {
 				if (sortDirection === 'asc') {
@@ -2612,7 +5380,7 @@ let PlaylistExporter = {
 				const header = headers[sortColumn];
 				const isNumeric = ['Duration (ms)', 'Popularity', 'Danceability', 'Energy', 'Key', 'Loudness', 
 					'Mode', 'Speechiness', 'Acousticness', 'Instrumentalness', 'Liveness', 'Valence', 
-					'Tempo', 'Time Signature'].includes(header);
+					'Tempo', 'Time Signature', 'Track Number', 'Disc Number', 'Album Total Tracks', 'Rank'].includes(header);
 
 				currentData.sort((a, b) => {
 					let aVal, bVal;
@@ -2642,15 +5410,7 @@ let PlaylistExporter = {
 
 		// Export functions
 		function exportToCSV() {
-			const csvContent = headers.join(',') + '\\n' + 
-				originalData.map(row => row.map(cell => {
-					const value = (cell || '').toString();
-					// Escape quotes and wrap in quotes if contains comma, quote, or newline
-					if (value.includes(',') || value.includes('"') || value.includes('\\n')) {
-						return '"' + value.replace(/"/g, '""') + '"';
-					}
-					return value;
-				}).join(',')).join('\\n');
+			const csvContent = CSV.stringify([headers, ...originalData]);
 			
 			const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
 			const link = document.createElement('a');
@@ -2675,6 +5435,46 @@ let PlaylistExporter = {
 			link.click();
 		}
 
+		// Write the rows the table shows right now, filtered and sorted, to Spotify as a new playlist in that order. The
+		// page that opened this one holds the login, so it makes the calls.
+		async function saveAsPlaylist() {
+			const button = document.getElementById('saveAsPlaylistBtn');
+			const status = document.getElementById('saveAsPlaylistStatus');
+			const exporter = window.opener && !window.opener.closed ? window.opener.PlaylistExporter : null;
+			const uriIdx = headers.indexOf('Track URI');
+			if (!exporter || !window.opener.localStorage.getItem('access_token')) {
+				status.textContent = 'Sign in on the Nexporify page that opened this one, then try again.';
+				return;
+			}
+			if (uriIdx < 0) {
+				status.textContent = 'This data has no Track URI column, so there is nothing to put in a playlist.';
+				return;
+			}
+			const uris = currentData.map(row => row[uriIdx]).filter(uri => uri);
+			if (uris.length === 0) {
+				status.textContent = 'No tracks match the current filters.';
+				return;
+			}
+			const name = prompt('Name the new playlist (' + uris.length + ' tracks)', playlistName + ' (filtered)');
+			if (!name) return;
+
+			button.disabled = true;
+			try {
+				const result = await exporter.restorePlaylist(name, uris, '', {
+					description: 'Made with Nexporify from ' + playlistName,
+					onProgress: (done, total) => { status.textContent = 'Saving... ' + done + ' of ' + total + ' tracks'; }
+				});
+				status.innerHTML = 'Saved ' + result.added + ' tracks to <a href="' + escapeHtml(result.playlist.external_urls?.spotify) +
+					'" target="_blank">' + escapeHtml(result.playlist.name) + '</a>' +
+					(result.unavailable.length ? ', leaving out ' + result.unavailable.length + ' that are no longer available' : '') +
+					(result.local.length ? ', leaving out ' + result.local.length + ' local files, which only the Spotify app can add' : '') + '.';
+			} catch (e) {
+				status.textContent = 'Could not save the playlist: ' + e.message;
+			} finally {
+				button.disabled = false;
+			}
+		}
+
 		function escapeHtml(text) {
 			if (!text) return '';
 			const map = {
@@ -2689,7 +5489,7 @@ let PlaylistExporter = {
 
 		function renderTable() {
 			const tbody = document.getElementById('tableBody');
-			tbody.innerHTML = currentData.map(row => {
+			tbody.innerHTML = currentData.slice(0, shownRows).map(row => {
 				const cells = row.map((cell, idx) => {
 					let value = cell || '';
 					const header = headers[idx];
@@ -2704,94 +5504,22 @@ let PlaylistExporter = {
 				}).join('');
 				return '<tr>' + cells + '</tr>';
 			}).join('');
+			document.getElementById('tableMore').innerHTML = currentData.length <= shownRows ? '' :
+				'Showing ' + shownRows + ' of ' + currentData.length + ' rows ' +
+				'<button type="button" class="table-more-button" onclick="showMoreRows(500)">Show 500 more</button>' +
+				'<button type="button" class="table-more-button" onclick="showMoreRows(Infinity)">Show all</button>';
 		}
 
-		// Data processing functions
-		function getColumnIndex(headerName) {
-			// Try exact match first
-			let idx = headers.indexOf(headerName);
-			if (idx >= 0) return idx;
-			
-			// Try with quotes removed
-			idx = headers.findIndex(h => h.replace(/^"|"$/g, '') === headerName);
-			if (idx >= 0) return idx;
-			
-			// Try case-insensitive
-			idx = headers.findIndex(h => h.toLowerCase().replace(/^"|"$/g, '') === headerName.toLowerCase());
-			if (idx >= 0) return idx;
-			
-			console.warn('Column not found:', headerName, 'Available headers:', headers);
-			return -1;
-		}
-
-		function getNumericValue(row, colIndex) {
-			if (colIndex < 0 || colIndex >= row.length) return 0;
-			const val = parseFloat(row[colIndex]) || 0;
-			return isNaN(val) ? 0 : val;
-		}
-
-		function getStringValue(row, colIndex) {
-			if (colIndex < 0 || colIndex >= row.length) return '';
-			return (row[colIndex] || '').toString().replace(/^"|"$/g, '');
+		function showMoreRows(count) {
+			shownRows += count;
+			renderTable();
 		}
 
+		// Data processing functions
 		// Key mapping
 		const keyNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 		const modeNames = ['Minor', 'Major'];
 
-		// Process data for visualizations
-		function processData() {
-			const trackUriIdx = getColumnIndex('Track URI');
-			const trackNameIdx = getColumnIndex('Track Name');
-			const albumNameIdx = getColumnIndex('Album Name');
-			const artistIdx = getColumnIndex('Artist Name(s)');
-			const releaseDateIdx = getColumnIndex('Release Date');
-			const durationIdx = getColumnIndex('Duration (ms)');
-			const popularityIdx = getColumnIndex('Popularity');
-			const explicitIdx = getColumnIndex('Explicit');
-			const addedAtIdx = getColumnIndex('Added At');
-			const genresIdx = getColumnIndex('Genres');
-			const recordLabelIdx = getColumnIndex('Record Label');
-			const danceabilityIdx = getColumnIndex('Danceability');
-			const energyIdx = getColumnIndex('Energy');
-			const valenceIdx = getColumnIndex('Valence');
-			const tempoIdx = getColumnIndex('Tempo');
-			const keyIdx = getColumnIndex('Key');
-			const loudnessIdx = getColumnIndex('Loudness');
-			const modeIdx = getColumnIndex('Mode');
-			const acousticnessIdx = getColumnIndex('Acousticness');
-			const instrumentalnessIdx = getColumnIndex('Instrumentalness');
-			const speechinessIdx = getColumnIndex('Speechiness');
-			const livenessIdx = getColumnIndex('Liveness');
-
-			const processed = originalData.map(row => ({
-				trackUri: getStringValue(row, trackUriIdx),
-				trackName: getStringValue(row, trackNameIdx),
-				albumName: getStringValue(row, albumNameIdx),
-				artist: getStringValue(row, artistIdx),
-				releaseDate: getStringValue(row, releaseDateIdx),
-				duration: getNumericValue(row, durationIdx),
-				popularity: getNumericValue(row, popularityIdx),
-				explicit: getStringValue(row, explicitIdx).toLowerCase() === 'true',
-				addedAt: getStringValue(row, addedAtIdx),
-				genres: getStringValue(row, genresIdx),
-				recordLabel: getStringValue(row, recordLabelIdx),
-				danceability: getNumericValue(row, danceabilityIdx),
-				energy: getNumericValue(row, energyIdx),
-				valence: getNumericValue(row, valenceIdx),
-				tempo: getNumericValue(row, tempoIdx),
-				key: Math.round(getNumericValue(row, keyIdx)),
-				loudness: getNumericValue(row, loudnessIdx),
-				mode: Math.round(getNumericValue(row, modeIdx)),
-				acousticness: getNumericValue(row, acousticnessIdx),
-				instrumentalness: getNumericValue(row, instrumentalnessIdx),
-				speechiness: getNumericValue(row, speechinessIdx),
-				liveness: getNumericValue(row, livenessIdx)
-			}));
-
-			return processed;
-		}
-
 		// Custom ApexCharts theme configuration
 		const chartColors = ['#1DB954', '#00D4FF', '#FF00E5', '#FFB800', '#8B5CF6'];
 		
@@ -2821,14 +5549,8 @@ let PlaylistExporter = {
 					observer.observe(section);
 				});
 				
-				// Process data here to ensure it's fresh
-				const processedData = processData();
-				
-				console.log('Processed data length:', processedData.length);
-				console.log('Sample processed data:', processedData[0]);
-
 				// Validate data
-				if (!processedData || processedData.length === 0) {
+				if (!charts.tracks) {
 					console.error('No data to visualize');
 					return;
 				}
@@ -2847,7 +5569,7 @@ let PlaylistExporter = {
 				console.error('Mood quadrant container not found');
 			} else {
 				console.log('Rendering mood quadrant...');
-				const moodData = processedData.map(t => ({
+				const moodData = charts.sample.map(t => ({
 					x: t.energy,
 					y: t.valence,
 					track: t.trackName,
@@ -2955,16 +5677,16 @@ let PlaylistExporter = {
 				console.log('Mood quadrant rendered');
 			}
 
-			// Calculate average audio features for use across multiple charts
-			const avgDanceability = processedData.reduce((sum, t) => sum + t.danceability, 0) / processedData.length;
-			const avgEnergy = processedData.reduce((sum, t) => sum + t.energy, 0) / processedData.length;
-			const avgValence = processedData.reduce((sum, t) => sum + t.valence, 0) / processedData.length;
-			const avgAcousticness = processedData.reduce((sum, t) => sum + t.acousticness, 0) / processedData.length;
-			const avgInstrumentalness = processedData.reduce((sum, t) => sum + t.instrumentalness, 0) / processedData.length;
-			const avgSpeechiness = processedData.reduce((sum, t) => sum + t.speechiness, 0) / processedData.length;
-			const avgLiveness = processedData.reduce((sum, t) => sum + t.liveness, 0) / processedData.length;
-			const avgTempo = processedData.reduce((sum, t) => sum + t.tempo, 0) / processedData.length;
-			const avgPopularity = processedData.reduce((sum, t) => sum + t.popularity, 0) / processedData.length;
+			// Average audio features, for use across multiple charts
+			const avgDanceability = charts.averages.danceability;
+			const avgEnergy = charts.averages.energy;
+			const avgValence = charts.averages.valence;
+			const avgAcousticness = charts.averages.acousticness;
+			const avgInstrumentalness = charts.averages.instrumentalness;
+			const avgSpeechiness = charts.averages.speechiness;
+			const avgLiveness = charts.averages.liveness;
+			const avgTempo = charts.averages.tempo;
+			const avgPopularity = charts.averages.popularity;
 
 			// 2. Audio Features Radar
 			const radarContainer = document.querySelector("#audioRadar");
@@ -3034,17 +5756,7 @@ let PlaylistExporter = {
 				console.error('Tempo distribution container not found');
 			} else {
 				console.log('Rendering tempo distribution...');
-				const tempoRanges = [
-				{ label: '60-80', min: 60, max: 80 },
-				{ label: '80-100', min: 80, max: 100 },
-				{ label: '100-120', min: 100, max: 120 },
-				{ label: '120-140', min: 120, max: 140 },
-				{ label: '140-160', min: 140, max: 160 },
-				{ label: '160+', min: 160, max: 999 }
-			];
-				const tempoCounts = tempoRanges.map(range => 
-					processedData.filter(t => t.tempo >= range.min && (range.max === 999 || t.tempo < range.max)).length
-				);
+				const tempoCounts = charts.tempos.map(([label, count]) => count);
 
 				const tempoChart = new ApexCharts(tempoDistContainer, {
 				chart: { 
@@ -3071,7 +5783,7 @@ let PlaylistExporter = {
 					data: tempoCounts
 				}],
 					xaxis: { 
-						categories: tempoRanges.map(r => r.label + ' BPM'),
+						categories: charts.tempos.map(([label]) => label + ' BPM'),
 						labels: { style: { colors: '#FFFFFF' } }
 					},
 					yaxis: { labels: { style: { colors: '#FFFFFF' } } },
@@ -3092,10 +5804,7 @@ let PlaylistExporter = {
 				console.error('Key distribution container not found');
 			} else {
 				console.log('Rendering key distribution...');
-				const keyCounts = new Array(12).fill(0);
-				processedData.forEach(t => {
-					if (t.key >= 0 && t.key < 12) keyCounts[t.key]++;
-				});
+				const keyCounts = charts.keys;
 
 				const keyChart = new ApexCharts(keyDistContainer, {
 				chart: { 
@@ -3141,7 +5850,7 @@ let PlaylistExporter = {
 			if (!energyDanceContainer) {
 				console.error('Energy vs Danceability container not found');
 			} else {
-			const energyDanceData = processedData.map(t => ({
+			const energyDanceData = charts.sample.map(t => ({
 				x: t.danceability,
 				y: t.energy,
 				track: t.trackName,
@@ -3194,7 +5903,7 @@ let PlaylistExporter = {
 			if (!acousticEnergyContainer) {
 				console.error('Acousticness vs Energy container not found');
 			} else {
-			const acousticEnergyData = processedData.map(t => ({
+			const acousticEnergyData = charts.sample.map(t => ({
 				x: t.acousticness,
 				y: t.energy,
 				track: t.trackName,
@@ -3247,7 +5956,7 @@ let PlaylistExporter = {
 			if (!tempoEnergyContainer) {
 				console.error('Tempo vs Energy container not found');
 			} else {
-			const tempoEnergyData = processedData.map(t => ({
+			const tempoEnergyData = charts.sample.map(t => ({
 				x: t.tempo,
 				y: t.energy,
 				track: t.trackName,
@@ -3300,11 +6009,7 @@ let PlaylistExporter = {
 			if (!releaseYearContainer) {
 				console.error('Release year container not found');
 			} else {
-			const yearCounts = {};
-			processedData.forEach(t => {
-				const year = t.releaseDate ? t.releaseDate.split('-')[0] : 'Unknown';
-				yearCounts[year] = (yearCounts[year] || 0) + 1;
-			});
+			const yearCounts = charts.years;
 			const sortedYears = Object.keys(yearCounts).sort();
 			const yearData = sortedYears.map(y => yearCounts[y]);
 
@@ -3345,15 +6050,7 @@ let PlaylistExporter = {
 			if (!decadeContainer) {
 				console.error('Decade breakdown container not found');
 			} else {
-			const decadeCounts = {};
-			processedData.forEach(t => {
-				const year = t.releaseDate ? parseInt(t.releaseDate.split('-')[0]) : null;
-				if (year && !isNaN(year)) {
-					const decade = Math.floor(year / 10) * 10;
-					const decadeLabel = decade + 's';
-					decadeCounts[decadeLabel] = (decadeCounts[decadeLabel] || 0) + 1;
-				}
-			});
+			const decadeCounts = charts.decades;
 			const decadeLabels = Object.keys(decadeCounts).sort();
 			const decadeData = decadeLabels.map(d => decadeCounts[d]);
 
@@ -3385,14 +6082,7 @@ let PlaylistExporter = {
 			if (!additionTimelineContainer) {
 				console.error('Addition timeline container not found');
 			} else {
-			const additionCounts = {};
-			processedData.forEach(t => {
-				if (t.addedAt) {
-					const date = new Date(t.addedAt);
-					const year = date.getFullYear();
-					additionCounts[year] = (additionCounts[year] || 0) + 1;
-				}
-			});
+			const additionCounts = charts.additions;
 			const sortedAdditionYears = Object.keys(additionCounts).sort();
 			const additionData = sortedAdditionYears.map(y => additionCounts[y]);
 
@@ -3435,21 +6125,8 @@ let PlaylistExporter = {
 			if (!popularityContainer) {
 				console.error('Popularity over time container not found');
 			} else {
-			const popularityByYear = {};
-			const popularityCounts = {};
-			processedData.forEach(t => {
-				const year = t.releaseDate ? t.releaseDate.split('-')[0] : null;
-				if (year && !isNaN(parseInt(year))) {
-					if (!popularityByYear[year]) {
-						popularityByYear[year] = 0;
-						popularityCounts[year] = 0;
-					}
-					popularityByYear[year] += t.popularity;
-					popularityCounts[year]++;
-				}
-			});
-			const sortedPopYears = Object.keys(popularityByYear).sort();
-			const avgPopularity = sortedPopYears.map(y => popularityByYear[y] / popularityCounts[y]);
+			const sortedPopYears = Object.keys(charts.popularity).sort();
+			const avgPopularity = sortedPopYears.map(y => charts.popularity[y]);
 
 				const popularityChart = new ApexCharts(popularityContainer, {
 				chart: { 
@@ -3488,23 +6165,12 @@ let PlaylistExporter = {
 				popularityChart.render();
 			}
 
-			// Calculate artist counts for use in multiple charts
-			const artistCounts = {};
-			processedData.forEach(t => {
-				const artists = t.artist.split(';').map(a => a.trim()).filter(a => a);
-				artists.forEach(artist => {
-					artistCounts[artist] = (artistCounts[artist] || 0) + 1;
-				});
-			});
-
 			// 12. Top Artists
 			const topArtistsContainer = document.querySelector("#topArtists");
 			if (!topArtistsContainer) {
 				console.error('Top artists container not found');
 			} else {
-				const topArtists = Object.entries(artistCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 15);
+				const topArtists = charts.artists.top;
 				const artistLabels = topArtists.map(a => a[0]);
 				const artistData = topArtists.map(a => a[1]);
 
@@ -3546,18 +6212,7 @@ let PlaylistExporter = {
 			if (!genreDistContainer) {
 				console.error('Genre distribution container not found');
 			} else {
-			const genreCounts = {};
-			processedData.forEach(t => {
-				if (t.genres) {
-					const genres = t.genres.split(',').map(g => g.trim()).filter(g => g);
-					genres.forEach(genre => {
-						genreCounts[genre] = (genreCounts[genre] || 0) + 1;
-					});
-				}
-			});
-			const topGenres = Object.entries(genreCounts)
-				.sort((a, b) => b[1] - a[1])
-				.slice(0, 10);
+			const topGenres = charts.genres;
 			const genreLabels = topGenres.map(g => g[0]);
 			const genreData = topGenres.map(g => g[1]);
 
@@ -3589,9 +6244,9 @@ let PlaylistExporter = {
 			if (!artistDiversityContainer) {
 				console.error('Artist diversity container not found');
 			} else {
-				const uniqueArtistsForChart = Object.keys(artistCounts).length;
-				const mostTracksByArtist = uniqueArtistsForChart > 0 ? Math.max(...Object.values(artistCounts)) : 0;
-				const diversityMetric = (uniqueArtistsForChart / processedData.length * 100).toFixed(1);
+				const uniqueArtistsForChart = charts.artists.distinct;
+				const mostTracksByArtist = charts.artists.most;
+				const diversityMetric = charts.songs > 0 ? (uniqueArtistsForChart / charts.songs * 100).toFixed(1) : '0.0';
 
 				artistDiversityContainer.innerHTML = 
 					'<div class="stat-cards">' +
@@ -3615,15 +6270,7 @@ let PlaylistExporter = {
 			if (!recordLabelsContainer) {
 				console.error('Record labels container not found');
 			} else {
-				const labelCounts = {};
-				processedData.forEach(t => {
-					if (t.recordLabel && t.recordLabel.trim()) {
-						labelCounts[t.recordLabel] = (labelCounts[t.recordLabel] || 0) + 1;
-					}
-				});
-				const topLabels = Object.entries(labelCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 10);
+				const topLabels = charts.labels;
 				
 				if (topLabels.length > 0) {
 					const labelLabels = topLabels.map(l => l[0]);
@@ -3669,16 +6316,7 @@ let PlaylistExporter = {
 			if (!durationDistContainer) {
 				console.error('Duration distribution container not found');
 			} else {
-			const durationRanges = [
-				{ label: '0-2 min', min: 0, max: 120000 },
-				{ label: '2-4 min', min: 120000, max: 240000 },
-				{ label: '4-6 min', min: 240000, max: 360000 },
-				{ label: '6-8 min', min: 360000, max: 480000 },
-				{ label: '8+ min', min: 480000, max: Infinity }
-			];
-			const durationCounts = durationRanges.map(range => 
-				processedData.filter(t => t.duration >= range.min && t.duration < range.max).length
-			);
+			const durationCounts = charts.durations.map(([label, count]) => count);
 
 				const durationChart = new ApexCharts(durationDistContainer, {
 				chart: { 
@@ -3704,7 +6342,7 @@ let PlaylistExporter = {
 					data: durationCounts
 				}],
 					xaxis: { 
-						categories: durationRanges.map(r => r.label),
+						categories: charts.durations.map(([label]) => label),
 						labels: { style: { colors: '#FFFFFF' } }
 					},
 					yaxis: { labels: { style: { colors: '#FFFFFF' } } }
@@ -3717,8 +6355,8 @@ let PlaylistExporter = {
 			if (!explicitContainer) {
 				console.error('Explicit content container not found');
 			} else {
-			const explicitCount = processedData.filter(t => t.explicit).length;
-			const nonExplicitCount = processedData.length - explicitCount;
+			const explicitCount = charts.explicit;
+			const nonExplicitCount = charts.tracks - explicitCount;
 
 				const explicitChart = new ApexCharts(explicitContainer, {
 				chart: { 
@@ -3743,6 +6381,29 @@ let PlaylistExporter = {
 				explicitChart.render();
 			}
 
+			// 17b. Release Types (album, single, compilation), plus how many tracks carry catalog identifiers
+			const albumTypesContainer = document.querySelector("#albumTypes");
+			if (albumTypesContainer) {
+				const albumTypeCounts = charts.albumTypes;
+				if (Object.keys(albumTypeCounts).length === 0) {
+					albumTypesContainer.innerHTML = '<p style="text-align: center; color: var(--text-tertiary); padding: 20px;">No release type data in this export</p>';
+				} else {
+					new ApexCharts(albumTypesContainer, {
+						chart: { type: 'donut', height: 400, background: 'transparent', toolbar: { show: false } },
+						series: Object.values(albumTypeCounts),
+						labels: Object.keys(albumTypeCounts),
+						colors: chartColors,
+						legend: { position: 'bottom', labels: { colors: '#FFFFFF' } },
+						stroke: { show: true, width: 2, colors: ['#0a0a0a'] },
+						subtitle: {
+							text: charts.isrcs + ' of ' + charts.tracks + ' tracks have an ISRC, ' + charts.upcs + ' a UPC',
+							align: 'center',
+							style: { color: '#FFFFFF' }
+						}
+					}).render();
+				}
+			}
+
 			// 18. Average Audio Features Cards
 			const avgFeaturesContainer = document.querySelector("#avgFeatures");
 			if (!avgFeaturesContainer) {
@@ -3780,9 +6441,7 @@ let PlaylistExporter = {
 			// Top 10 Artists
 			const top10ArtistsContainer = document.querySelector("#top10Artists");
 			if (top10ArtistsContainer) {
-				const topArtistsList = Object.entries(artistCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 10);
+				const topArtistsList = charts.artists.top.slice(0, 10);
 				top10ArtistsContainer.innerHTML = topArtistsList.map((item, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3796,15 +6455,7 @@ let PlaylistExporter = {
 			// Top 10 Albums
 			const top10AlbumsContainer = document.querySelector("#top10Albums");
 			if (top10AlbumsContainer) {
-				const albumCounts = {};
-				processedData.forEach(t => {
-					if (t.albumName && t.albumName.trim()) {
-						albumCounts[t.albumName] = (albumCounts[t.albumName] || 0) + 1;
-					}
-				});
-				const topAlbumsList = Object.entries(albumCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 10);
+				const topAlbumsList = charts.albums;
 				top10AlbumsContainer.innerHTML = topAlbumsList.map((item, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3818,18 +6469,7 @@ let PlaylistExporter = {
 			// Top 10 Genres
 			const top10GenresContainer = document.querySelector("#top10Genres");
 			if (top10GenresContainer) {
-				const genreCounts = {};
-				processedData.forEach(t => {
-					if (t.genres) {
-						const genres = t.genres.split(',').map(g => g.trim()).filter(g => g);
-						genres.forEach(genre => {
-							genreCounts[genre] = (genreCounts[genre] || 0) + 1;
-						});
-					}
-				});
-				const topGenresList = Object.entries(genreCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 10);
+				const topGenresList = charts.genres;
 				top10GenresContainer.innerHTML = topGenresList.map((item, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3843,15 +6483,7 @@ let PlaylistExporter = {
 			// Top 10 Labels
 			const top10LabelsContainer = document.querySelector("#top10Labels");
 			if (top10LabelsContainer) {
-				const labelCounts = {};
-				processedData.forEach(t => {
-					if (t.recordLabel && t.recordLabel.trim()) {
-						labelCounts[t.recordLabel] = (labelCounts[t.recordLabel] || 0) + 1;
-					}
-				});
-				const topLabelsList = Object.entries(labelCounts)
-					.sort((a, b) => b[1] - a[1])
-					.slice(0, 10);
+				const topLabelsList = charts.labels;
 				top10LabelsContainer.innerHTML = topLabelsList.map((item, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3867,7 +6499,7 @@ let PlaylistExporter = {
 			// Top Danceability
 			const topDanceabilityContainer = document.querySelector("#topDanceability");
 			if (topDanceabilityContainer) {
-				const topDanceabilityTracks = [...processedData].sort((a, b) => b.danceability - a.danceability).slice(0, 5);
+				const topDanceabilityTracks = charts.top.danceability;
 				topDanceabilityContainer.innerHTML = topDanceabilityTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3882,7 +6514,7 @@ let PlaylistExporter = {
 			// Top Energy
 			const topEnergyContainer = document.querySelector("#topEnergy");
 			if (topEnergyContainer) {
-				const topEnergyTracks = [...processedData].sort((a, b) => b.energy - a.energy).slice(0, 5);
+				const topEnergyTracks = charts.top.energy;
 				topEnergyContainer.innerHTML = topEnergyTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3897,10 +6529,7 @@ let PlaylistExporter = {
 			// Top Loudness
 			const topLoudnessContainer = document.querySelector("#topLoudness");
 			if (topLoudnessContainer) {
-				const topLoudnessTracks = [...processedData]
-					.filter(t => t.loudness && t.loudness !== 0)
-					.sort((a, b) => b.loudness - a.loudness)
-					.slice(0, 5);
+				const topLoudnessTracks = charts.top.loudness;
 				topLoudnessContainer.innerHTML = topLoudnessTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3915,7 +6544,7 @@ let PlaylistExporter = {
 			// Top Acousticness
 			const topAcousticnessContainer = document.querySelector("#topAcousticness");
 			if (topAcousticnessContainer) {
-				const topAcousticnessTracks = [...processedData].sort((a, b) => b.acousticness - a.acousticness).slice(0, 5);
+				const topAcousticnessTracks = charts.top.acousticness;
 				topAcousticnessContainer.innerHTML = topAcousticnessTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3930,7 +6559,7 @@ let PlaylistExporter = {
 			// Most Valence (Happy)
 			const topValenceContainer = document.querySelector("#topValence");
 			if (topValenceContainer) {
-				const topValenceTracks = [...processedData].sort((a, b) => b.valence - a.valence).slice(0, 5);
+				const topValenceTracks = charts.top.valence;
 				topValenceContainer.innerHTML = topValenceTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -3945,7 +6574,7 @@ let PlaylistExporter = {
 			// Least Valence (Sad)
 			const leastValenceContainer = document.querySelector("#leastValence");
 			if (leastValenceContainer) {
-				const leastValenceTracks = [...processedData].sort((a, b) => a.valence - b.valence).slice(0, 5);
+				const leastValenceTracks = charts.top.leastValence;
 				leastValenceContainer.innerHTML = leastValenceTracks.map((t, i) => 
 					'<div class="track-list-item">' +
 						'<div class="track-info">' +
@@ -4010,6 +6639,8 @@ let PlaylistExporter = {
 
 		// Event listeners
 		document.addEventListener('DOMContentLoaded', () => {
+			renderTable();
+
 			// Sort on header click
 			document.querySelectorAll('th.sortable').forEach((th, idx) => {
 				th.addEventListener('click', () => sortTable(idx));
@@ -4055,7 +6686,7 @@ let PlaylistExporter = {
 
 	// Helper function to escape HTML
 	escapeHtml(text) {
-		if (!text) return ''
+		if (text == null) return '' // but 0 is still shown
 		let map = {
 			'&': '&amp;',
 			'<': '&lt;',
@@ -4067,6 +6698,10 @@ let PlaylistExporter = {
 	}
 }
 
+// A top-level let isn't a property of window, and the pages opened from here reach back through window.opener for it: the
+// duplicates report to remove tracks, and the full analysis page to Save as Playlist
+window.PlaylistExporter = PlaylistExporter
+
 // runs when the page loads
 onload = async () => {
 	let code = new URLSearchParams(location.search).get('code') // try to snag a code out of the url, in case this is after authorize()
@@ -4078,13 +6713,15 @@ onload = async () => {
 		// Get full redirect URI including path (for GitHub Pages subdirectory support)
 		let redirectUri = location.origin + location.pathname.replace(/\/$/, ''); // Remove trailing slash
 		let response = await fetch("https://accounts.spotify.com/api/token", { method: 'POST', headers: {'Content-Type': 'application/x-www-form-urlencoded'},
-			body: new URLSearchParams({client_id: "d07d8c2ddb3646d4b4fb3781ffc6d2bc", grant_type: 'authorization_code', code: code, redirect_uri: redirectUri,
-				code_verifier: localStorage.getItem('code_verifier')}) }) // POST to get the access token, then fish it out of the response body
-		localStorage.setItem('access_token', (await response.json()).access_token) // https://stackoverflow.com/questions/59555534/why-is-json-asynchronous
-		localStorage.setItem('access_token_timestamp', Date.now())
+			body: new URLSearchParams({client_id: utils.clientId, grant_type: 'authorization_code', code: code, redirect_uri: redirectUri,
+				code_verifier: localStorage.getItem('code_verifier')}) }) // POST to get the access and refresh tokens, then fish them out of the response body
+		utils.storeTokens(await response.json()) // https://stackoverflow.com/questions/59555534/why-is-json-asynchronous
 	}
-	if (localStorage.getItem('access_token') && Date.now() - localStorage.getItem('access_token_timestamp') < 3600000) {
+	// A stale access token is fine so long as we can trade the refresh token for a new one
+	if (localStorage.getItem('access_token') && (!utils.tokenExpired() || await utils.refreshToken())) {
 		if (loginButton) loginButton.style.display = 'none' // When logged in, make the login button invisible
+		const restoreOptions = document.getElementById('restoreOptions')
+		if (restoreOptions) restoreOptions.style.display = '' // and offer to restore uploaded csvs, which needs a login
 		if (logoutContainer) logoutContainer.innerHTML = '<button id="logoutButton" class="logout-btn btn" onclick="utils.logout()">Log Out</button>' // Add a logout button by modifying the HTML
 		ReactDOM.render(React.createElement(PlaylistTable), playlistsContainer) // Create table and put it in the playlistsContainer	
 	}
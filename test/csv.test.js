@@ -0,0 +1,96 @@
+// Tests for the csv reader and writer every export, upload and analysis page goes through. Run with: node --test test/*.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const load = require('./load.js')
+
+const { CSV, PlaylistExporter } = load()
+const plain = value => JSON.parse(JSON.stringify(value)) // arrays made inside the page's context have its own prototypes
+
+test('quoted fields can hold delimiters, quotes and line breaks', () => {
+	let text = 'Track Name,Artist Name(s)\n"Hello, World","Say ""Hi"""\n"Line one\nline two\r\nline three",x\n'
+	assert.deepEqual(plain(CSV.parse(text)), [
+		['Track Name', 'Artist Name(s)'],
+		['Hello, World', 'Say "Hi"'],
+		['Line one\nline two\r\nline three', 'x']
+	])
+})
+
+test('a byte order mark is dropped', () => {
+	assert.deepEqual(plain(CSV.parse('\uFEFFTrack Name,Album Name\na,b\n')), [['Track Name', 'Album Name'], ['a', 'b']])
+})
+
+test('CRLF and LF line endings read the same, with or without one after the last record', () => {
+	let expected = [['a', 'b'], ['c', 'd']]
+	assert.deepEqual(plain(CSV.parse('a,b\r\nc,d\r\n')), expected)
+	assert.deepEqual(plain(CSV.parse('a,b\nc,d')), expected)
+	assert.deepEqual(plain(CSV.parse('a,b\r\n\r\nc,d\r\n')), expected) // blank lines are skipped
+})
+
+test('semicolon and tab delimiters are recognized and split on', () => {
+	let semicolons = 'Track Name;Artist Name(s);Duration (ms)\n"Song; Part 2";Someone;1,5\n'
+	assert.equal(CSV.delimiter(semicolons), ';')
+	assert.deepEqual(plain(CSV.parse(semicolons, ';')), [['Track Name', 'Artist Name(s)', 'Duration (ms)'], ['Song; Part 2', 'Someone', '1,5']])
+	let tabs = 'Track Name\tArtist Name(s)\nSong, with a comma\tSomeone\n'
+	assert.equal(CSV.delimiter(tabs), '\t')
+	assert.deepEqual(plain(CSV.parse(tabs, '\t')), [['Track Name', 'Artist Name(s)'], ['Song, with a comma', 'Someone']])
+	assert.equal(CSV.delimiter('Track Name,Artist Name(s)\n'), ',')
+})
+
+test('stringify and parse round trip, with any delimiter', () => {
+	let records = [['Track Name', 'Notes'], ['a, "b"', 'line\nbreak'], ['', 'x;y\tz'], [null, 3]]
+	let expected = records.map(record => record.map(value => value == null ? '' : String(value)))
+	for (let delimiter of [',', ';', '\t']) {
+		assert.deepEqual(plain(CSV.parse(CSV.stringify(records, [], delimiter), delimiter)), expected)
+	}
+	assert.equal(CSV.stringify([['a', 'b']], [true]), '"a",b\n')
+})
+
+test('a record of one empty field survives a round trip', () => {
+	let records = [['Track URI'], ['a'], [''], ['b']]
+	assert.deepEqual(plain(CSV.parse(CSV.stringify(records))), records)
+	assert.deepEqual(plain(CSV.parse('Track URI\na\n""\nb\n')), records)
+})
+
+// Enough of a trackData record for every column
+function record(name, artists, extra = {}) {
+	return {
+		kind: 'track',
+		item: { added_at: '2024-01-02T03:04:05Z', added_by: { id: 'someone' } },
+		track: { uri: 'spotify:track:' + name.replace(/\W/g, ''), name: name, duration_ms: 215000, popularity: 50, explicit: false,
+			artists: artists.map(artist => ({ name: artist, uri: 'spotify:artist:' + artist.replace(/\W/g, '') })),
+			album: { name: 'An "Album", Vol. 1', release_date: '2020-05-01', album_type: 'album', total_tracks: 12 },
+			external_ids: { isrc: 'USABC2000001' }, track_number: 3, disc_number: 1, is_local: false, ...extra },
+		genres: ['indie rock', 'pop'],
+		album: { label: 'Label; Inc.', upc: '012345678905' },
+		features: { danceability: 0.5, energy: 0.25, key: 0, loudness: -6.5, mode: 1, tempo: 120 }
+	}
+}
+
+test('exports read back as written', () => {
+	let format = PlaylistExporter.formats.csv
+	let tracks = [record('Hello, World', ['A, B', 'C "the" D']), record('Multi\nline', ['Solo']), record('Plain', ['X'], { duration_ms: 0 })]
+	let columns = Object.keys(PlaylistExporter.columns)
+	let csv = format.render({ name: 'Test' }, tracks, columns)
+	let records = CSV.parse(csv)
+	assert.equal(records.length, tracks.length + 1)
+	assert.deepEqual(plain(records[0]), columns.map(key => PlaylistExporter.columns[key].header))
+	assert.equal(records[1][columns.indexOf('track_name')], 'Hello, World')
+	assert.equal(records[2][columns.indexOf('track_name')], 'Multi\nline')
+	assert.equal(records[3][columns.indexOf('duration_ms')], '0')
+	assert.deepEqual(plain(CSV.parse(CSV.stringify(records))), plain(records))
+})
+
+test('json exports read back as the csv export would have written them', () => {
+	let tracks = [record('Hello, World', ['A, B', 'C "the" D']), record('Plain', ['X'], { duration_ms: 0 })]
+	tracks[1].features = null
+	let columns = [...PlaylistExporter.defaultColumns, ...PlaylistExporter.analysisColumns]
+	let json = PlaylistExporter.formats.json.render({ name: 'Test' }, tracks)
+	assert.equal(PlaylistExporter.libraryJSON(json), PlaylistExporter.formats.csv.render({ name: 'Test' }, tracks, columns))
+	assert.throws(() => PlaylistExporter.libraryJSON('{"collection": {"type": "albums"}, "items": []}'), /not a list of tracks/)
+})
+
+test('single-column exports keep their empty rows', () => {
+	let tracks = [record('One', ['X']), { kind: 'track', item: {}, track: null, genres: [], album: {}, features: null }, record('Two', ['Y'])]
+	let records = CSV.parse(PlaylistExporter.formats.csv.render({ name: 'Test' }, tracks, ['track_uri']))
+	assert.deepEqual(plain(records), [['Track URI'], ['spotify:track:One'], [''], ['spotify:track:Two']])
+})
@@ -0,0 +1,26 @@
+// Run exportify.js the way a page would, in a context of its own with just enough of a browser for it to load, and hand
+// back its globals. globals adds to or replaces that browser, e.g. a fetch to answer API calls.
+const fs = require('fs')
+const path = require('path')
+const vm = require('vm')
+
+module.exports = function load(globals = {}) {
+	let stored = {}
+	let context = vm.createContext({
+		console, setTimeout, clearTimeout, URLSearchParams, TextEncoder, TextDecoder, Blob, AbortController, structuredClone,
+		localStorage: {
+			getItem: key => stored[key] ?? null,
+			setItem: (key, value) => { stored[key] = String(value) },
+			removeItem: key => { delete stored[key] },
+			clear: () => { stored = {} }
+		},
+		location: { origin: 'http://localhost', pathname: '/', search: '' },
+		document: { getElementById: () => null },
+		error: { innerHTML: '' },
+		React: { Component: class {} },
+		...globals
+	})
+	context.window ??= context // a page's window is its global object
+	let source = fs.readFileSync(path.join(__dirname, '..', 'exportify.js'), 'utf8')
+	return vm.runInContext(source + '\n;({ utils, CSV, db, PlaylistExporter, window })', context)
+}
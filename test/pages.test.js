@@ -0,0 +1,98 @@
+// Tests for the pages opened from the main one, which reach back through window.opener to change a library. Run with: node --test test/*.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const vm = require('vm')
+const load = require('./load.js')
+
+const plain = value => JSON.parse(JSON.stringify(value))
+
+// A stand-in for the Web API's playlist endpoints, holding one playlist's uris. Every request is kept in requests.
+function spotify(uris) {
+	let requests = [], snapshot = 0
+	let reply = data => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => data })
+	let fetch = async (url, { method, body }) => {
+		body = body && JSON.parse(body)
+		requests.push({ method, url, body })
+		if (method == 'GET') { return reply({ items: uris.map(uri => ({ track: { uri } })), next: null }) }
+		if (method == 'DELETE') {
+			let positions = body.tracks.flatMap(track => track.positions)
+			uris = uris.filter((uri, position) => !positions.includes(position))
+		}
+		if (method == 'POST') { uris.splice(body.position ?? uris.length, 0, ...body.uris) }
+		return reply({ snapshot_id: 's' + ++snapshot })
+	}
+	return { fetch, requests, uris: () => uris }
+}
+
+// Load the main page with the given fetch, signed in
+function opener(fetch) {
+	let { window } = load({ fetch })
+	window.localStorage.setItem('access_token', 'token')
+	window.localStorage.setItem('access_token_timestamp', Date.now())
+	return window
+}
+
+// Run a generated page's script in a context of its own, opened by opener. elements are its document's elements by id,
+// and checked its ticked boxes.
+function open(html, opener, elements = {}, checked = []) {
+	let scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)]
+	let page = vm.createContext({ window: { opener }, confirm: () => true, alert: () => {},
+		document: { getElementById: id => elements[id] ?? null, querySelectorAll: () => checked } })
+	vm.runInContext(scripts[scripts.length - 1][1], page)
+	return page
+}
+
+test('the duplicates report removes ticked copies through the page that opened it', async () => {
+	let api = spotify(['spotify:track:a', 'spotify:track:b', 'spotify:track:a', 'spotify:track:c'])
+	let window = opener(api.fetch)
+	let { PlaylistExporter } = window
+	assert.ok(PlaylistExporter)
+
+	let records = api.uris().map(uri => ({ track: { uri, name: uri.slice(-1), artists: [{ name: 'Someone' }], duration_ms: 200000 } }))
+	let groups = PlaylistExporter.duplicateGroups(PlaylistExporter.duplicateEntries(records, 0))
+	let html = PlaylistExporter.generateDuplicatesHTML('Mine', [{ id: 'p', name: 'Mine', snapshot_id: 's0', writable: true }], groups)
+	let row = { className: '' }
+	let checked = [...html.matchAll(/data-group="(\d+)" data-entry="(\d+)" checked/g)]
+		.map(([, group, entry]) => ({ dataset: { group, entry }, closest: () => row, remove: () => {} }))
+	assert.equal(checked.length, 1) // the later copy
+
+	let status = { textContent: '' }
+	let page = open(html, window, { removeBtn: {}, removeStatus: status }, checked)
+	await vm.runInContext('removeChecked()', page)
+	assert.equal(status.textContent, '✓ Removed 1 copy.')
+	assert.equal(row.className, 'removed')
+	let deletes = api.requests.filter(request => request.method == 'DELETE')
+	assert.deepEqual(plain(deletes.map(request => request.body)), [{ tracks: [{ uri: 'spotify:track:a', positions: [2] }], snapshot_id: 's0' }])
+	assert.deepEqual(api.uris(), ['spotify:track:a', 'spotify:track:b', 'spotify:track:c'])
+})
+
+// The source of one of a generated page's functions
+function source(html, name) {
+	return html.match(new RegExp('(async )?function ' + name + '\\([\\s\\S]*?\\n\\t\\t}\\n'))[0]
+}
+
+test('the analysis page saves what its table shows as a playlist through the page that opened it', async () => {
+	let requests = []
+	let window = opener(async (url, { method, body }) => {
+		requests.push({ method, url, body: body && JSON.parse(body) })
+		let data = url.includes('/tracks?market=') ? { tracks: new URL(url).searchParams.get('ids').split(',').map(id => ({ uri: 'spotify:track:' + id })) } :
+			url.endsWith('/me') ? { id: 'me' } :
+			url.endsWith('/users/me/playlists') ? { id: 'new', name: 'Mine (filtered)', external_urls: { spotify: 'https://open.spotify.com/playlist/new' } } :
+			{ snapshot_id: 's1' }
+		return { ok: true, status: 201, headers: { get: () => null }, json: async () => data }
+	})
+	let html = window.PlaylistExporter.generateAnalysisHTML({ name: 'Mine' },
+		'Track URI,Track Name\nspotify:track:b,B\nspotify:track:a,A\n,Gone\n')
+
+	let status = { textContent: '', innerHTML: '' }
+	let page = vm.createContext({ window: { opener: window }, prompt: (text, name) => name,
+		headers: ['Track URI', 'Track Name'], currentData: [['spotify:track:b', 'B'], ['spotify:track:a', 'A'], ['', 'Gone']], playlistName: 'Mine',
+		document: { getElementById: id => ({ saveAsPlaylistBtn: {}, saveAsPlaylistStatus: status })[id] } })
+	vm.runInContext(source(html, 'saveAsPlaylist') + source(html, 'escapeHtml'), page)
+	await vm.runInContext('saveAsPlaylist()', page)
+	assert.match(status.innerHTML, /^Saved 2 tracks to <a href="https:\/\/open.spotify.com\/playlist\/new"/)
+	let created = requests.find(request => request.url.endsWith('/users/me/playlists'))
+	assert.equal(created.body.name, 'Mine (filtered)')
+	let added = requests.filter(request => request.url.endsWith('/playlists/new/tracks'))
+	assert.deepEqual(added.map(request => request.body), [{ uris: ['spotify:track:b', 'spotify:track:a'] }])
+})
@@ -0,0 +1,66 @@
+// Tests for putting an uploaded playlist back on Spotify with restorePlaylist. Run with: node --test test/*.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const load = require('./load.js')
+
+const plain = value => JSON.parse(JSON.stringify(value))
+
+// Load the page signed in, with a fetch standing in for the Web API. Tracks and episodes are available unless listed in
+// gone. Every request is kept in requests, with its body parsed.
+function signedIn(gone = []) {
+	let requests = []
+	let reply = data => ({ ok: true, status: 200, headers: { get: () => null }, json: async () => data })
+	let { window, PlaylistExporter } = load({ fetch: async (url, { method, body }) => {
+		requests.push({ method, url, body: body && JSON.parse(body) })
+		let lookup = url.match(/\/v1\/(track|episode)s\?market=from_token&ids=(.*)$/)
+		if (lookup) {
+			return reply({ [lookup[1] + 's']: lookup[2].split(',').map(id => 'spotify:' + lookup[1] + ':' + id)
+				.map(uri => gone.includes(uri) ? null : { uri: uri, is_playable: true }) })
+		}
+		if (url.endsWith('/v1/me')) { return reply({ id: 'me' }) }
+		if (url.endsWith('/v1/users/me/playlists')) { return reply({ id: 'new', name: body && JSON.parse(body).name }) }
+		if (url.endsWith('/v1/playlists/old')) { return reply({ id: 'old', name: 'Old' }) }
+		return reply({ snapshot_id: 'snapshot' })
+	} })
+	window.localStorage.setItem('access_token', 'token')
+	window.localStorage.setItem('access_token_timestamp', Date.now())
+	return { PlaylistExporter, requests }
+}
+
+const track = n => 'spotify:track:' + String(n).padStart(22, '0')
+
+test('unavailable tracks and local files are left out, and said which', async () => {
+	let { PlaylistExporter, requests } = signedIn([track(2)])
+	let uris = [track(1), track(2), 'spotify:local:Someone:Album:Song:200', 'spotify:episode:' + '9'.repeat(22), track(3)]
+	let result = await PlaylistExporter.restorePlaylist('Mine', uris)
+	assert.equal(result.added, 3)
+	assert.deepEqual(plain(result.unavailable), [track(2)])
+	assert.deepEqual(plain(result.local), ['spotify:local:Someone:Album:Song:200'])
+	let added = requests.filter(request => request.url.endsWith('/v1/playlists/new/tracks'))
+	assert.deepEqual(added.map(request => request.body.uris), [[track(1), 'spotify:episode:' + '9'.repeat(22), track(3)]])
+})
+
+test('replacing a playlist PUTs the first 100 tracks, then POSTs the rest 100 at a time, in order', async () => {
+	let { PlaylistExporter, requests } = signedIn()
+	let uris = Array.from({ length: 250 }, (_, n) => track(n))
+	let progress = []
+	let result = await PlaylistExporter.restorePlaylist('Old', uris, 'old', { onProgress: (done, total) => progress.push([done, total]) })
+	assert.equal(result.added, 250)
+	let writes = requests.filter(request => request.url.endsWith('/v1/playlists/old/tracks'))
+	assert.deepEqual(writes.map(request => [request.method, request.body.uris.length]), [['PUT', 100], ['POST', 100], ['POST', 50]])
+	assert.deepEqual(writes.flatMap(request => request.body.uris), uris)
+	assert.deepEqual(progress, [[100, 250], [200, 250], [250, 250]])
+	assert.ok(!requests.some(request => request.url.endsWith('/v1/users/me/playlists'))) // nothing new made
+})
+
+test('a new playlist gets every track in order, 100 at a time', async () => {
+	let { PlaylistExporter, requests } = signedIn()
+	let uris = Array.from({ length: 120 }, (_, n) => track(119 - n))
+	uris.push(track(5)) // a repeat keeps its place too
+	await PlaylistExporter.restorePlaylist('Mine', uris)
+	let created = requests.find(request => request.url.endsWith('/v1/users/me/playlists'))
+	assert.equal(created.body.name, 'Mine')
+	let writes = requests.filter(request => request.url.endsWith('/v1/playlists/new/tracks'))
+	assert.deepEqual(writes.map(request => [request.method, request.body.uris.length]), [['POST', 100], ['POST', 21]])
+	assert.deepEqual(writes.flatMap(request => request.body.uris), uris)
+})
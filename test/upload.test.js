@@ -0,0 +1,92 @@
+// Tests for reading uploaded csvs from other tools, in the upload worker and in library uploads, and for reading listening history. Run with: node --test test/*.test.js
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const vm = require('vm')
+const load = require('./load.js')
+
+const plain = value => JSON.parse(JSON.stringify(value))
+
+// A TuneMyMusic-style export: other headers, bare Spotify ids, m:ss durations, and padding around values
+const tuneMyMusic = 'Track name;Artist name;Album;Playlist name;Type;ISRC;Spotify - id;Duration\r\n' +
+	'"Song, One";Someone;First Album;Mine;Playlist;US1234567890;4iV5W9uYEdYUVa79Axb7Rh; 3:45 \r\n' +
+	'Song Two ; Someone Else;Second;Mine;Playlist;;;1:02:03\r\n'
+
+// Start an uploadWorker, and run the source it was given in a context of its own, as the browser would in a thread.
+// Resolves to what it posts back.
+async function startWorker() {
+	let source = null
+	let { PlaylistExporter } = load({
+		URL: { createObjectURL: blob => { source = blob; return 'blob:worker' }, revokeObjectURL: () => {} },
+		Worker: class { addEventListener() {} } // messages go straight to the context's onmessage instead
+	})
+	let messages = []
+	let context = vm.createContext({ TextDecoder, postMessage: message => messages.push(message) })
+	PlaylistExporter.uploadWorker()
+	vm.runInContext(await source.text(), context)
+	return { PlaylistExporter, context, messages }
+}
+
+test('the upload worker puts a mapped file in our own schema and counts it', async () => {
+	let { PlaylistExporter, context, messages } = await startWorker()
+	await context.onmessage({ data: { file: new Blob([tuneMyMusic]) } })
+	let headers = messages.find(message => message.type == 'headers')
+	assert.ok(headers, JSON.stringify(messages.filter(message => message.type == 'error')))
+	let { schema, mapping } = PlaylistExporter.suggestMapping(headers.headers)
+	assert.equal(schema, 'TuneMyMusic')
+
+	await context.onmessage({ data: { mapping: mapping } })
+	let done = messages.find(message => message.type == 'done')
+	assert.ok(done, JSON.stringify(messages.filter(message => message.type == 'error')))
+	let rows = JSON.parse(done.data)
+	let column = header => done.headers.indexOf(header)
+	assert.deepEqual(plain(done.headers.slice(0, 4)), ['Track URI', 'Track Name', 'Artist Name(s)', 'Album Name'])
+	assert.deepEqual(rows.map(row => row[column('Track URI')]), ['spotify:track:4iV5W9uYEdYUVa79Axb7Rh', ''])
+	assert.deepEqual(rows.map(row => row[column('Track Name')]), ['Song, One', 'Song Two'])
+	assert.deepEqual(rows.map(row => row[column('Duration (ms)')]), ['225000', '3723000'])
+	assert.equal(done.summary.rows, 2)
+	assert.equal(done.summary.artists, 2)
+	assert.equal(done.charts.tracks, 2)
+	assert.deepEqual(plain(done.charts.durations.map(([label, count]) => count)), [0, 1, 0, 0, 1])
+})
+
+test('the upload worker passes our own exports straight through', async () => {
+	let { context, messages } = await startWorker()
+	let csv = '\uFEFFTrack URI,Track Name,Album Name,Artist Name(s),Duration (ms)\n' +
+		'spotify:track:a,"One, Two",Album,"A;B",200000\n' +
+		'spotify:track:b,Three,Album,C,100000\n'
+	await context.onmessage({ data: { file: new Blob([csv]) } })
+	assert.deepEqual(messages.map(message => message.type).filter(type => type != 'progress'), ['done'])
+	let done = messages.pop()
+	assert.deepEqual(JSON.parse(done.data), [['spotify:track:a', 'One, Two', 'Album', 'A;B', '200000'], ['spotify:track:b', 'Three', 'Album', 'C', '100000']])
+	assert.equal(done.summary.artists, 3)
+	assert.deepEqual(plain(done.charts.artists.top), [['A', 1], ['B', 1], ['C', 1]])
+})
+
+test('the upload worker reports files with no data', async () => {
+	let { context, messages } = await startWorker()
+	await context.onmessage({ data: { file: new Blob(['Track Name,Artist Name(s),Album Name\n']) } })
+	assert.equal(messages.pop().type, 'error')
+})
+
+test('library uploads map other tools\' files and say why others are skipped', () => {
+	let { CSV, PlaylistExporter } = load()
+	let records = CSV.parse(PlaylistExporter.libraryCSV(tuneMyMusic))
+	assert.deepEqual(plain(records[1].slice(0, 4)), ['spotify:track:4iV5W9uYEdYUVa79Axb7Rh', 'Song, One', 'Someone', 'First Album'])
+	assert.throws(() => PlaylistExporter.libraryCSV('Album URI,Album Name,Artist Name(s)\nspotify:album:a,Album,Someone\n'), /no Track Name column/)
+})
+
+test('listening uploads take a long history, and count only files that aren\'t history as skipped', async () => {
+	let status = { style: {} }
+	let { PlaylistExporter } = load({
+		document: { getElementById: id => id == 'uploadStatus' ? status : null },
+		open: () => ({ document: { write: () => {}, close: () => {} } })
+	})
+	let plays = null
+	PlaylistExporter.generateListeningAnalysisHTML = analyzed => { plays = analyzed; return '' }
+	let history = JSON.stringify(Array.from({ length: 200000 }, (_, n) =>
+		({ ts: new Date(Date.UTC(2024, 0, 1) + n * 60000).toISOString(), ms_played: 1000, master_metadata_track_name: 'Song ' + n % 100 })))
+	let file = (name, text) => ({ name: name, text: async () => text })
+	await PlaylistExporter.analyzeListeningFromUpload([file('Streaming_History_Audio_2024.json', history), file('Userdata.json', '{}')])
+	assert.equal(plays?.length, 200000, status.textContent)
+	assert.equal(status.textContent, '✓ Analyzed 200000 plays, skipping 1 other files.')
+})